@@ -0,0 +1,51 @@
+const { analyzeCoverage } = require('../analysis');
+
+jest.mock('@actions/glob', () => ({ create: jest.fn() }));
+
+const fileData = (file, hits) => ({ file, lines: { details: hits.map(([line, hit]) => ({ line, hit })) } });
+
+describe('analyzeCoverage', () => {
+  const log = { info: jest.fn(), warning: jest.fn(), debug: jest.fn() };
+  const thresholds = { lines: 80, branches: null, functions: null };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should measure changed lines matched to coverage by path suffix and check thresholds', () => {
+    const { results, thresholdFailures, coverageData } = analyzeCoverage({
+      coverageData: [fileData('/build/repo/src/missing-from-checkout/a.js', [[1, 1], [2, 0]])],
+      changedLines: {
+        'src/missing-from-checkout/a.js': new Set([1, 2]),
+        'docs/guide.md': new Set([3])
+      },
+      fileFilters: { include: [], exclude: ['**/*.md'] },
+      thresholds,
+      log
+    });
+
+    expect(coverageData[0].file).toBe('src/missing-from-checkout/a.js');
+    expect(results).toMatchObject({ totalLines: 2, coveredLines: 1, excludedFiles: ['docs/guide.md'] });
+    expect(thresholdFailures).toEqual([expect.objectContaining({ metric: 'lines', actual: 50, required: 80 })]);
+    expect(log.info).toHaveBeenCalledWith('Files left out by include/exclude filters: 1');
+  });
+
+  it('should only look for indirect coverage loss when change blocks are given', () => {
+    const options = {
+      coverageData: [fileData('src/a.js', [[1, 1], [2, 0]])],
+      baseCoverageData: [fileData('src/a.js', [[1, 1], [2, 1]])],
+      changedLines: { 'src/a.js': new Set([1]) },
+      thresholds: { ...thresholds, indirect: 90 },
+      log
+    };
+
+    const withoutBlocks = analyzeCoverage(options);
+    expect(withoutBlocks.results.baseComparison).toBeDefined();
+    expect(withoutBlocks.results.indirectCoverage).toBeUndefined();
+    expect(withoutBlocks.thresholdFailures).toEqual([]);
+
+    const withBlocks = analyzeCoverage({ ...options, changeBlocks: {} });
+    expect(withBlocks.results.indirectCoverage).toMatchObject({ lostLines: 1, files: [{ file: 'src/a.js', lines: [2] }] });
+    expect(withBlocks.thresholdFailures).toEqual([expect.objectContaining({ metric: 'indirect', actual: 50, required: 90 })]);
+  });
+});
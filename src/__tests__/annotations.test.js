@@ -0,0 +1,65 @@
+const {
+  MAX_ANNOTATIONS_PER_REQUEST,
+  batchAnnotations,
+  buildUncoveredAnnotations,
+  truncateSummary
+} = require('../annotations');
+
+describe('annotations', () => {
+  describe('buildUncoveredAnnotations', () => {
+    it('should create one annotation per uncovered changed range', () => {
+      const annotations = buildUncoveredAnnotations({
+        'src/a.js': { uncoveredLines: [3, 4, 5, 9] },
+        'src/b.js': { uncoveredLines: [] }
+      });
+
+      expect(annotations).toEqual([
+        {
+          path: 'src/a.js',
+          start_line: 3,
+          end_line: 5,
+          annotation_level: 'warning',
+          title: 'Uncovered changed code',
+          message: 'Changed lines 3-5 are not covered by tests.'
+        },
+        {
+          path: 'src/a.js',
+          start_line: 9,
+          end_line: 9,
+          annotation_level: 'warning',
+          title: 'Uncovered changed code',
+          message: 'Changed line 9 is not covered by tests.'
+        }
+      ]);
+    });
+  });
+
+  describe('batchAnnotations', () => {
+    it('should split annotations into batches of at most 50', () => {
+      const annotations = Array.from({ length: 120 }, (_, i) => ({ start_line: i + 1 }));
+
+      const batches = batchAnnotations(annotations);
+
+      expect(MAX_ANNOTATIONS_PER_REQUEST).toBe(50);
+      expect(batches.map(batch => batch.length)).toEqual([50, 50, 20]);
+      expect(batches[2][0]).toEqual({ start_line: 101 });
+    });
+
+    it('should return no batches for no annotations', () => {
+      expect(batchAnnotations([])).toEqual([]);
+    });
+  });
+
+  describe('truncateSummary', () => {
+    it('should leave short summaries unchanged', () => {
+      expect(truncateSummary('ok')).toBe('ok');
+    });
+
+    it('should trim long summaries to the limit with a notice', () => {
+      const summary = truncateSummary('x'.repeat(200), 100);
+
+      expect(summary).toHaveLength(100);
+      expect(summary).toContain('Summary truncated');
+    });
+  });
+});
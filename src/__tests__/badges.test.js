@@ -0,0 +1,43 @@
+const { BADGE_COLORS, badgeColor, buildCoverageBadges, renderBadge } = require('../badges');
+
+describe('badges', () => {
+  describe('badgeColor', () => {
+    it('should color by the threshold', () => {
+      expect(badgeColor(85, 80)).toBe(BADGE_COLORS.pass);
+      expect(badgeColor(80, 80)).toBe(BADGE_COLORS.pass);
+      expect(badgeColor(72, 80)).toBe(BADGE_COLORS.warn);
+      expect(badgeColor(60, 80)).toBe(BADGE_COLORS.fail);
+    });
+
+    it('should use a neutral color without a threshold', () => {
+      expect(badgeColor(60, null)).toBe(BADGE_COLORS.none);
+    });
+  });
+
+  describe('renderBadge', () => {
+    it('should render the label, message and color as SVG', () => {
+      const svg = renderBadge('coverage', '91.50%', '#4c1');
+
+      expect(svg).toMatch(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg"/);
+      expect(svg).toContain('aria-label="coverage: 91.50%"');
+      expect(svg).toContain('fill="#4c1"');
+      expect(svg).toContain('>91.50%</text>');
+    });
+
+    it('should escape markup in the text', () => {
+      expect(renderBadge('a<b', 'x&y', '#4c1')).toContain('a&lt;b: x&amp;y');
+    });
+  });
+
+  describe('buildCoverageBadges', () => {
+    it('should build diff and total coverage badges', () => {
+      const badges = buildCoverageBadges({ diffCoverage: 100, totalCoverage: 65.123, threshold: 80 });
+
+      expect(badges.map(badge => badge.fileName)).toEqual(['diff-coverage.svg', 'total-coverage.svg']);
+      expect(badges[0].svg).toContain('diff coverage: 100.00%');
+      expect(badges[0].svg).toContain(`fill="${BADGE_COLORS.pass}"`);
+      expect(badges[1].svg).toContain('coverage: 65.12%');
+      expect(badges[1].svg).toContain(`fill="${BADGE_COLORS.fail}"`);
+    });
+  });
+});
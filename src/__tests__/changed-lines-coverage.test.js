@@ -1,4 +1,4 @@
-const { calculateChangedLinesCoverage } = require('../changed-lines-coverage');
+const { calculateChangedLinesCoverage, formatLineRanges, toLineRanges } = require('../changed-lines-coverage');
 
 describe('calculateChangedLinesCoverage', () => {
   const coverageData = [
@@ -27,7 +27,15 @@ describe('calculateChangedLinesCoverage', () => {
     expect(results.fileResults['app/components/text-field.tsx']).toEqual({
       totalLines: 3,
       coveredLines: 2,
-      coverage: (2 / 3) * 100
+      coverage: (2 / 3) * 100,
+      uncoveredLines: [11],
+      totalBranches: 0,
+      coveredBranches: 0,
+      branchCoverage: 100,
+      uncoveredBranchLines: [],
+      totalFunctions: 0,
+      coveredFunctions: 0,
+      functionCoverage: 100
     });
     expect(results.missingFromCoverage).toEqual([]);
     expect(results.noTrackableLines).toEqual([]);
@@ -76,7 +84,15 @@ describe('calculateChangedLinesCoverage', () => {
     expect(results.fileResults['app/components/text-field.tsx']).toEqual({
       totalLines: 2,
       coveredLines: 1,
-      coverage: 50
+      coverage: 50,
+      uncoveredLines: [11],
+      totalBranches: 0,
+      coveredBranches: 0,
+      branchCoverage: 100,
+      uncoveredBranchLines: [],
+      totalFunctions: 0,
+      coveredFunctions: 0,
+      functionCoverage: 100
     });
     expect(results.noTrackableLines).toEqual([
       { file: 'app/navigators/messages-navigator.tsx', changedLines: 2 }
@@ -141,4 +157,151 @@ describe('calculateChangedLinesCoverage', () => {
       { file: 'app/navigators/work-navigator.tsx', changedLines: 0 }
     ]);
   });
+
+  it('should count branches on changed lines separately from line coverage', () => {
+    const dataWithBranches = [
+      {
+        file: 'app/components/text-field.tsx',
+        lines: {
+          details: [
+            { line: 10, hit: 1 },
+            { line: 20, hit: 1 }
+          ]
+        },
+        branches: {
+          details: [
+            { line: 10, block: 0, branch: 0, taken: 3 },
+            { line: 10, block: 0, branch: 1, taken: 0 },
+            { line: 20, block: 1, branch: 0, taken: 0 },
+            { line: 20, block: 1, branch: 1, taken: 0 }
+          ]
+        }
+      }
+    ];
+
+    const changedLines = {
+      'app/components/text-field.tsx': new Set([10])
+    };
+
+    const results = calculateChangedLinesCoverage(dataWithBranches, changedLines);
+
+    expect(results.coverage).toBe(100);
+    expect(results.totalBranches).toBe(2);
+    expect(results.coveredBranches).toBe(1);
+    expect(results.branchCoverage).toBe(50);
+    expect(results.fileResults['app/components/text-field.tsx']).toMatchObject({
+      totalBranches: 2,
+      coveredBranches: 1,
+      branchCoverage: 50,
+      uncoveredBranchLines: [10]
+    });
+  });
+
+  it('should report full branch coverage when no changed lines have branches', () => {
+    const changedLines = {
+      'app/components/text-field.tsx': new Set([10])
+    };
+
+    const results = calculateChangedLinesCoverage(coverageData, changedLines);
+
+    expect(results.totalBranches).toBe(0);
+    expect(results.branchCoverage).toBe(100);
+  });
+
+  it('should report functions declared or edited in the diff that were never called', () => {
+    const dataWithFunctions = [
+      {
+        file: 'app/utils/format.ts',
+        lines: {
+          details: [
+            { line: 1, hit: 1 },
+            { line: 2, hit: 1 },
+            { line: 5, hit: 0 },
+            { line: 6, hit: 0 },
+            { line: 10, hit: 1 }
+          ]
+        },
+        functions: {
+          details: [
+            { name: 'formatDate', line: 1, endLine: 3, hit: 4 },
+            { name: 'formatCurrency', line: 5, endLine: 7, hit: 0 },
+            { name: 'untouched', line: 10, hit: 0 }
+          ]
+        }
+      }
+    ];
+
+    const changedLines = {
+      'app/utils/format.ts': new Set([2, 6])
+    };
+
+    const results = calculateChangedLinesCoverage(dataWithFunctions, changedLines);
+
+    expect(results.totalFunctions).toBe(2);
+    expect(results.coveredFunctions).toBe(1);
+    expect(results.functionCoverage).toBe(50);
+    expect(results.uncoveredFunctions).toEqual([
+      { file: 'app/utils/format.ts', name: 'formatCurrency', line: 5 }
+    ]);
+    expect(results.fileResults['app/utils/format.ts']).toMatchObject({
+      totalFunctions: 2,
+      coveredFunctions: 1,
+      functionCoverage: 50
+    });
+  });
+
+  it('should only count a function without an end line when its declaration changed', () => {
+    const lcovStyleData = [
+      {
+        file: 'app/utils/format.ts',
+        lines: {
+          details: [
+            { line: 1, hit: 1 },
+            { line: 2, hit: 0 },
+            { line: 5, hit: 1 }
+          ]
+        },
+        functions: {
+          details: [
+            { name: 'helper', line: 1, hit: 0 }
+          ]
+        }
+      }
+    ];
+
+    // Trailing top-level code after the function, e.g. `module.exports = { helper }`
+    expect(calculateChangedLinesCoverage(lcovStyleData, {
+      'app/utils/format.ts': new Set([5])
+    })).toMatchObject({ totalFunctions: 0, uncoveredFunctions: [] });
+
+    // The body alone doesn't show whether the line belongs to the function
+    expect(calculateChangedLinesCoverage(lcovStyleData, {
+      'app/utils/format.ts': new Set([2])
+    })).toMatchObject({ totalFunctions: 0, uncoveredFunctions: [] });
+
+    expect(calculateChangedLinesCoverage(lcovStyleData, {
+      'app/utils/format.ts': new Set([1])
+    }).uncoveredFunctions).toEqual([
+      { file: 'app/utils/format.ts', name: 'helper', line: 1 }
+    ]);
+  });
+});
+
+describe('toLineRanges', () => {
+  it('should group contiguous line numbers regardless of input order', () => {
+    expect(toLineRanges(new Set([7, 1, 3, 2, 9, 8]))).toEqual([
+      { start: 1, end: 3 },
+      { start: 7, end: 9 }
+    ]);
+  });
+
+  it('should return no ranges for no lines', () => {
+    expect(toLineRanges([])).toEqual([]);
+  });
+});
+
+describe('formatLineRanges', () => {
+  it('should format single lines and ranges', () => {
+    expect(formatLineRanges([1, 2, 3, 7, 10, 11])).toBe('1-3, 7, 10-11');
+  });
 });
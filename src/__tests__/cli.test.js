@@ -0,0 +1,148 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { formatResultsTable, formatSummary, main, parseCliArgs } = require('../cli');
+
+jest.mock('@actions/glob', () => ({ create: jest.fn() }));
+
+describe('cli', () => {
+  describe('parseCliArgs', () => {
+    it('should apply defaults', () => {
+      const options = parseCliArgs([]);
+
+      expect(options).toMatchObject({
+        baseRef: 'origin/main',
+        mergeBase: true,
+        coverage: 'coverage/lcov.info',
+        coverageFormat: 'auto',
+        thresholds: { lines: 80, branches: null, functions: null },
+        html: false,
+        open: false
+      });
+    });
+
+    it('should parse thresholds, filters and report options', () => {
+      const options = parseCliArgs([
+        '--base', 'main',
+        '--no-merge-base',
+        '--coverage', 'a/lcov.info,b/lcov.info',
+        '--minimum-coverage', '90',
+        '--minimum-branch-coverage', '70',
+        '--exclude', '**/*.test.js',
+        '--path-rewrites', '/app/ =>',
+        '--open'
+      ]);
+
+      expect(options).toMatchObject({
+        baseRef: 'main',
+        mergeBase: false,
+        coverage: 'a/lcov.info,b/lcov.info',
+        thresholds: { lines: 90, branches: 70, functions: null },
+        fileFilters: { include: [], exclude: ['**/*.test.js'] },
+        pathRewrites: [{ from: '/app', to: '' }],
+        html: true,
+        open: true
+      });
+    });
+
+    it('should reject unknown options', () => {
+      expect(() => parseCliArgs(['--bogus'])).toThrow("Unknown option '--bogus'");
+    });
+  });
+
+  const results = {
+    totalLines: 5,
+    coveredLines: 4,
+    coverage: 80,
+    totalBranches: 2,
+    coveredBranches: 1,
+    branchCoverage: 50,
+    totalFunctions: 0,
+    coveredFunctions: 0,
+    functionCoverage: 100,
+    uncoveredFunctions: [],
+    fileResults: {
+      'src/a.js': { totalLines: 3, coveredLines: 3, coverage: 100, totalBranches: 0, uncoveredLines: [] },
+      'src/long/name.js': { totalLines: 2, coveredLines: 1, coverage: 50, totalBranches: 2, coveredBranches: 1, uncoveredLines: [7] }
+    }
+  };
+
+  describe('formatResultsTable', () => {
+    it('should align one row per file', () => {
+      expect(formatResultsTable(results).split('\n')).toEqual([
+        'File              Coverage  Lines  Branches  Uncovered Lines',
+        '----------------  --------  -----  --------  ---------------',
+        'src/a.js          100.00%   3/3    -         -',
+        'src/long/name.js  50.00%    1/2    1/2       7'
+      ]);
+    });
+  });
+
+  describe('formatSummary', () => {
+    it('should report the totals and each threshold failure', () => {
+      const summary = formatSummary(results, [{ label: 'changed lines', actual: 80, required: 90 }]);
+
+      expect(summary).toContain('Changed lines covered: 80.00% (4/5)');
+      expect(summary).toContain('Branches on changed lines: 50.00% (1/2)');
+      expect(summary).toContain('FAIL: coverage of changed lines (80.00%) is below the required threshold (90%)');
+    });
+
+    it('should report a pass when there are no failures', () => {
+      expect(formatSummary(results, [])).toContain('PASS: all coverage thresholds are met');
+    });
+  });
+
+  describe('main', () => {
+    const originalCwd = process.cwd();
+    let repoDir;
+
+    const git = (...args) => execFileSync('git', args, { cwd: repoDir, stdio: 'ignore' });
+    const writeFile = (file, content) => {
+      fs.mkdirSync(path.dirname(path.join(repoDir, file)), { recursive: true });
+      fs.writeFileSync(path.join(repoDir, file), content);
+    };
+
+    beforeEach(() => {
+      // One commit with a function, then one adding two lines to it; only line 3 is covered
+      repoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'diff-coverage-cli-'));
+      git('init', '-q');
+      git('config', 'user.email', 'test@example.com');
+      git('config', 'user.name', 'Test');
+      git('config', 'commit.gpgsign', 'false');
+      writeFile('src/a.js', 'function a() {\n  return 1;\n}\n');
+      git('add', '-A');
+      git('commit', '-q', '-m', 'base');
+      writeFile('src/a.js', 'function a() {\n  const b = 1;\n  const c = 2;\n  return 1;\n}\n');
+      git('commit', '-q', '-am', 'change');
+      writeFile('coverage/lcov.info', 'SF:src/a.js\nDA:1,1\nDA:2,0\nDA:3,1\nDA:4,1\nend_of_record\n');
+
+      process.chdir(repoDir);
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      process.chdir(originalCwd);
+      fs.rmSync(repoDir, { recursive: true, force: true });
+      jest.restoreAllMocks();
+    });
+
+    it('should exit with 0 when the changed lines meet the thresholds', async () => {
+      await expect(main(['--base', 'HEAD~1', '--minimum-coverage', '50'])).resolves.toBe(0);
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Changed lines covered: 50.00% (1/2)'));
+    });
+
+    it('should exit with 1 when a threshold is not met', async () => {
+      await expect(main(['--base', 'HEAD~1', '--minimum-coverage', '80'])).resolves.toBe(1);
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('FAIL: coverage of changed lines (50.00%)'));
+    });
+
+    it('should exit with 2 when the check cannot run', async () => {
+      await expect(main(['--base', 'no-such-ref'])).resolves.toBe(2);
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Diff coverage check failed'));
+
+      await expect(main(['--bogus'])).resolves.toBe(2);
+    });
+  });
+});
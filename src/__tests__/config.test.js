@@ -0,0 +1,47 @@
+const fs = require('fs');
+const { loadConfig } = require('../config');
+
+jest.mock('fs');
+
+describe('loadConfig', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should return no rules when the config file does not exist', () => {
+    fs.existsSync.mockReturnValue(false);
+
+    expect(loadConfig('.diff-coverage.yml')).toEqual({ rules: [] });
+    expect(fs.readFileSync).not.toHaveBeenCalled();
+  });
+
+  it('should parse glob patterns mapped to thresholds in file order', () => {
+    fs.existsSync.mockReturnValue(true);
+    fs.readFileSync.mockReturnValue([
+      'thresholds:',
+      '  "src/payments/**": 95',
+      '  "scripts/**":',
+      '    lines: 50',
+      '    branches: 25'
+    ].join('\n'));
+
+    expect(loadConfig('.diff-coverage.yml').rules).toEqual([
+      { path: 'src/payments/**', lines: 95, branches: null, functions: null },
+      { path: 'scripts/**', lines: 50, branches: 25, functions: null }
+    ]);
+  });
+
+  it('should reject unknown metrics', () => {
+    fs.existsSync.mockReturnValue(true);
+    fs.readFileSync.mockReturnValue('thresholds:\n  "src/**":\n    statements: 80\n');
+
+    expect(() => loadConfig('.diff-coverage.yml')).toThrow('Unknown threshold "statements"');
+  });
+
+  it('should reject thresholds outside 0-100', () => {
+    fs.existsSync.mockReturnValue(true);
+    fs.readFileSync.mockReturnValue('thresholds:\n  "src/**": 120\n');
+
+    expect(() => loadConfig('.diff-coverage.yml')).toThrow('expected a number from 0 to 100');
+  });
+});
@@ -0,0 +1,55 @@
+const { compareCoverage, formatDelta, summarizeCoverage } = require('../coverage-delta');
+
+const fileData = (file, hits) => ({ file, lines: { details: hits.map((hit, index) => ({ line: index + 1, hit })) } });
+
+describe('summarizeCoverage', () => {
+  it('should total line coverage per file and across the project', () => {
+    const summary = summarizeCoverage([fileData('./src/a.js', [1, 0, 1, 1]), fileData('src/b.js', [])]);
+
+    expect(summary).toEqual({
+      totalLines: 4,
+      coveredLines: 3,
+      coverage: 75,
+      files: {
+        'src/a.js': { totalLines: 4, coveredLines: 3, coverage: 75 },
+        'src/b.js': { totalLines: 0, coveredLines: 0, coverage: 100 }
+      }
+    });
+  });
+});
+
+describe('compareCoverage', () => {
+  const base = [fileData('src/a.js', [1, 1, 1, 1]), fileData('src/b.js', [1, 0]), fileData('src/old.js', [1])];
+  const head = [fileData('src/a.js', [1, 1, 1, 0]), fileData('src/b.js', [1, 1]), fileData('src/new.js', [0])];
+
+  it('should report project totals before and after', () => {
+    const comparison = compareCoverage(base, head);
+
+    expect(comparison.base).toEqual({ totalLines: 7, coveredLines: 6, coverage: (6 / 7) * 100 });
+    expect(comparison.head).toEqual({ totalLines: 7, coveredLines: 5, coverage: (5 / 7) * 100 });
+    expect(comparison.delta).toBeCloseTo(-14.29, 2);
+  });
+
+  it('should compare each file and flag files whose coverage went down', () => {
+    const comparison = compareCoverage(base, head);
+
+    expect(comparison.files['src/a.js'].delta).toBe(-25);
+    expect(comparison.files['src/b.js'].delta).toBe(50);
+    expect(comparison.files['src/new.js']).toEqual({
+      base: null,
+      head: { totalLines: 1, coveredLines: 0, coverage: 0 },
+      delta: null
+    });
+    expect(comparison.files['src/old.js'].head).toBeNull();
+    expect(comparison.decreasedFiles).toEqual(['src/a.js']);
+  });
+});
+
+describe('formatDelta', () => {
+  it('should format increases, decreases, no change and new files', () => {
+    expect(formatDelta(1.254)).toBe('+1.25%');
+    expect(formatDelta(-0.5)).toBe('🔻 -0.50%');
+    expect(formatDelta(-0.001)).toBe('0.00%');
+    expect(formatDelta(null)).toBe('new');
+  });
+});
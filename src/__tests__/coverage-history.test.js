@@ -0,0 +1,110 @@
+const fs = require('fs');
+const {
+  appendHistoryRecord,
+  buildHistoryRecord,
+  buildTrend,
+  formatTrend,
+  parseHistory,
+  readHistoryFile
+} = require('../coverage-history');
+
+jest.mock('fs');
+
+describe('coverage history', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('parseHistory', () => {
+    it('should treat empty content as an empty history', () => {
+      expect(parseHistory('')).toEqual([]);
+    });
+
+    it('should reject content that is not an array of runs', () => {
+      expect(() => parseHistory('{}', 'history.json')).toThrow('Invalid coverage history in history.json');
+    });
+  });
+
+  describe('readHistoryFile', () => {
+    it('should return an empty history for a missing file', () => {
+      fs.existsSync.mockReturnValue(false);
+
+      expect(readHistoryFile('.coverage/history.json')).toEqual([]);
+    });
+  });
+
+  describe('buildHistoryRecord', () => {
+    it('should record the commit, PR, diff coverage, total coverage and per-file coverage', () => {
+      const record = buildHistoryRecord({
+        commit: 'abc123',
+        pr: 42,
+        timestamp: '2024-01-01T00:00:00.000Z',
+        results: { coverage: 66.6666 },
+        coverageData: [
+          { file: 'src/a.js', lines: { details: [{ line: 1, hit: 1 }, { line: 2, hit: 0 }, { line: 3, hit: 1 }] } },
+          { file: 'src/b.js', lines: { details: [{ line: 1, hit: 1 }] } }
+        ]
+      });
+
+      expect(record).toEqual({
+        commit: 'abc123',
+        pr: 42,
+        timestamp: '2024-01-01T00:00:00.000Z',
+        diffCoverage: 66.67,
+        totalCoverage: 75,
+        files: { 'src/a.js': 66.67, 'src/b.js': 100 }
+      });
+    });
+  });
+
+  describe('appendHistoryRecord', () => {
+    it('should replace runs of the same commit and keep the most recent runs', () => {
+      const history = [{ commit: 'a' }, { commit: 'b' }, { commit: 'c' }];
+
+      expect(appendHistoryRecord(history, { commit: 'b', pr: 1 }, 3)).toEqual([
+        { commit: 'a' },
+        { commit: 'c' },
+        { commit: 'b', pr: 1 }
+      ]);
+      expect(appendHistoryRecord(history, { commit: 'd' }, 2)).toEqual([{ commit: 'c' }, { commit: 'd' }]);
+    });
+  });
+
+  describe('buildTrend', () => {
+    it('should collect repository and per-file values oldest first', () => {
+      const history = [
+        { pr: null, diffCoverage: 50, totalCoverage: 70, files: { 'src/b.js': 80 } },
+        { pr: null, diffCoverage: 90, totalCoverage: 72, files: { 'src/a.js': 60, 'src/b.js': 85 } }
+      ];
+
+      expect(buildTrend(history, ['src/a.js', 'src/b.js', 'src/new.js'])).toEqual({
+        runs: 2,
+        diffCoverage: [50, 90],
+        totalCoverage: [70, 72],
+        files: { 'src/a.js': [60], 'src/b.js': [80, 85], 'src/new.js': [] }
+      });
+    });
+
+    it('should only trend diff coverage across runs of the same PR', () => {
+      const history = [
+        { pr: 1, diffCoverage: 40, totalCoverage: 70, files: {} },
+        { pr: 2, diffCoverage: 95, totalCoverage: 71, files: {} },
+        { pr: null, diffCoverage: 100, totalCoverage: 71, files: {} },
+        { pr: 1, diffCoverage: 60, totalCoverage: 72, files: {} }
+      ];
+
+      expect(buildTrend(history, [], 1).diffCoverage).toEqual([40, 60]);
+      expect(buildTrend(history, [], null).diffCoverage).toEqual([100]);
+      expect(buildTrend(history).totalCoverage).toEqual([70, 71, 71, 72]);
+    });
+  });
+
+  describe('formatTrend', () => {
+    it('should render a sparkline and the change across the values', () => {
+      expect(formatTrend([0, 50, 100])).toBe('▁▅█ +100.00%');
+      expect(formatTrend([80, 75.5])).toBe('▇▇ -4.50%');
+      expect(formatTrend([60])).toBe('▅');
+      expect(formatTrend([])).toBe('—');
+    });
+  });
+});
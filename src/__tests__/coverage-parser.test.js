@@ -1,9 +1,11 @@
 const CoverageParser = require('../coverage-parser');
 const fs = require('fs');
 const path = require('path');
+const glob = require('@actions/glob');
 
 // Mock fs for testing
 jest.mock('fs');
+jest.mock('@actions/glob', () => ({ create: jest.fn() }));
 
 describe('CoverageParser', () => {
   beforeEach(() => {
@@ -40,7 +42,7 @@ describe('CoverageParser', () => {
       ]);
     });
 
-    it('should handle files with branch coverage', () => {
+    it('should keep branch coverage separate from line coverage', () => {
       const mockCoverageData = {
         'src/example.js': {
           s: { '0': 1 },
@@ -60,10 +62,247 @@ describe('CoverageParser', () => {
       const result = CoverageParser.parseJestJson('coverage.json');
 
       expect(result[0].lines.details).toEqual([
-        { line: 1, hit: 1 },
-        { line: 2, hit: 1 }
+        { line: 1, hit: 1 }
+      ]);
+      expect(result[0].branches.details).toEqual([
+        { line: 2, block: 0, branch: 0, taken: 1 },
+        { line: 2, block: 0, branch: 1, taken: 0 }
+      ]);
+    });
+  });
+
+  describe('parseJestJson functions', () => {
+    it('should convert fnMap and f into function details with declaration and end lines', () => {
+      const mockCoverageData = {
+        'src/example.js': {
+          s: {},
+          statementMap: {},
+          f: { '0': 2, '1': 0 },
+          fnMap: {
+            '0': {
+              name: 'called',
+              decl: { start: { line: 1 }, end: { line: 1 } },
+              loc: { start: { line: 1 }, end: { line: 3 } }
+            },
+            '1': {
+              name: 'neverCalled',
+              decl: { start: { line: 5 }, end: { line: 5 } },
+              loc: { start: { line: 5 }, end: { line: 9 } }
+            }
+          }
+        }
+      };
+
+      fs.readFileSync.mockReturnValue(JSON.stringify(mockCoverageData));
+
+      const result = CoverageParser.parseJestJson('coverage.json');
+
+      expect(result[0].functions.details).toEqual([
+        { name: 'called', line: 1, endLine: 3, hit: 2 },
+        { name: 'neverCalled', line: 5, endLine: 9, hit: 0 }
+      ]);
+    });
+  });
+
+  describe('parseCobertura', () => {
+    const coberturaXml = `<?xml version="1.0" ?>
+<coverage line-rate="0.5" branch-rate="0.5">
+  <sources>
+    <source>/repo</source>
+  </sources>
+  <packages>
+    <package name="src">
+      <classes>
+        <class name="example.js" filename="src/example.js">
+          <methods>
+            <method name="called" hits="2">
+              <lines>
+                <line number="1" hits="2"/>
+                <line number="3" hits="2"/>
+              </lines>
+            </method>
+          </methods>
+          <lines>
+            <line number="1" hits="2"/>
+            <line number="2" hits="2" branch="true" condition-coverage="50% (1/2)"/>
+            <line number="3" hits="0"/>
+          </lines>
+        </class>
+        <class name="other.js" filename="src/example.js">
+          <lines>
+            <line number="3" hits="1"/>
+          </lines>
+        </class>
+      </classes>
+    </package>
+  </packages>
+</coverage>`;
+
+    beforeEach(() => {
+      jest.spyOn(process, 'cwd').mockReturnValue('/repo');
+      fs.readFileSync.mockReturnValue(coberturaXml);
+    });
+
+    afterEach(() => {
+      process.cwd.mockRestore();
+    });
+
+    it('should convert lines, branches and methods and merge classes sharing a file', () => {
+      fs.existsSync.mockReturnValue(true);
+
+      const result = CoverageParser.parseCobertura('coverage.xml');
+
+      expect(result).toHaveLength(1);
+      expect(result[0].file).toBe('src/example.js');
+      expect(result[0].lines.details).toEqual([
+        { line: 1, hit: 2 },
+        { line: 2, hit: 2 },
+        { line: 3, hit: 1 }
+      ]);
+      expect(result[0].branches.details).toEqual([
+        { line: 2, block: 0, branch: 0, taken: 1 },
+        { line: 2, block: 0, branch: 1, taken: 0 }
+      ]);
+      expect(result[0].functions.details).toEqual([
+        { name: 'called', line: 1, endLine: 3, hit: 2 }
+      ]);
+    });
+
+    it('should resolve filenames against the first source root', () => {
+      fs.existsSync.mockReturnValue(false);
+
+      const result = CoverageParser.parseCobertura('coverage.xml');
+
+      expect(result[0].file).toBe('src/example.js');
+    });
+
+    it('should be used for .xml files', async () => {
+      fs.existsSync.mockReturnValue(true);
+
+      const spy = jest.spyOn(CoverageParser, 'parseCobertura');
+      spy.mockReturnValue([]);
+
+      await CoverageParser.parse('coverage.xml');
+
+      expect(spy).toHaveBeenCalledWith('coverage.xml');
+      spy.mockRestore();
+    });
+
+    it('should reject XML without a coverage root', () => {
+      fs.readFileSync.mockReturnValue('<report></report>');
+
+      expect(() => CoverageParser.parseCobertura('coverage.xml')).toThrow('Invalid Cobertura coverage file');
+    });
+  });
+
+  describe('parseClover', () => {
+    const cloverXml = `<?xml version="1.0" encoding="UTF-8"?>
+<coverage generated="1700000000000" clover="3.2.0">
+  <project timestamp="1700000000000" name="All files">
+    <metrics statements="4" coveredstatements="3"/>
+    <file name="index.js" path="/repo/index.js">
+      <line num="1" count="1" type="stmt"/>
+    </file>
+    <package name="src">
+      <file name="example.js" path="/repo/src/example.js">
+        <line num="1" count="2" type="method" name="check"/>
+        <line num="2" count="2" type="cond" truecount="1" falsecount="1"/>
+        <line num="3" count="2" type="stmt"/>
+        <line num="4" count="0" type="stmt"/>
+      </file>
+    </package>
+  </project>
+</coverage>`;
+
+    beforeEach(() => {
+      jest.spyOn(process, 'cwd').mockReturnValue('/repo');
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue(cloverXml);
+    });
+
+    afterEach(() => {
+      process.cwd.mockRestore();
+    });
+
+    it('should map stmt, cond and method lines to lines, branches and functions', () => {
+      const result = CoverageParser.parseClover('clover.xml');
+
+      expect(result.map(file => file.file)).toEqual(['index.js', 'src/example.js']);
+
+      const example = result[1];
+      expect(example.lines.details).toEqual([
+        { line: 2, hit: 2 },
+        { line: 3, hit: 2 },
+        { line: 4, hit: 0 }
+      ]);
+      expect(example.branches.details).toEqual([
+        { line: 2, block: 0, branch: 0, taken: 1 },
+        { line: 2, block: 0, branch: 1, taken: 0 }
+      ]);
+      expect(example.functions.details).toEqual([{ name: 'check', line: 1, hit: 2 }]);
+    });
+
+    it('should be used for .xml files with a <project> element', async () => {
+      const spy = jest.spyOn(CoverageParser, 'parseClover');
+      spy.mockReturnValue([]);
+
+      await CoverageParser.parse('clover.xml');
+
+      expect(spy).toHaveBeenCalledWith('clover.xml');
+      spy.mockRestore();
+    });
+
+    it('should reject XML without a project element', () => {
+      fs.readFileSync.mockReturnValue('<coverage></coverage>');
+
+      expect(() => CoverageParser.parseClover('clover.xml')).toThrow('Invalid Clover coverage file');
+    });
+  });
+
+  describe('parseV8', () => {
+    const v8Coverage = {
+      result: [
+        {
+          url: 'file:///repo/src/a.js',
+          functions: [{ functionName: '', ranges: [{ startOffset: 0, endOffset: 26, count: 3 }] }]
+        },
+        { url: 'node:internal/modules/cjs/loader', functions: [] },
+        { url: 'file:///repo/node_modules/dep/index.js', functions: [] },
+        { url: 'file:///elsewhere/b.js', functions: [] },
+        { url: 'file:///repo/src/deleted.js', functions: [] }
+      ]
+    };
+
+    beforeEach(() => {
+      jest.spyOn(process, 'cwd').mockReturnValue('/repo');
+      fs.existsSync.mockImplementation(filePath => filePath !== '/repo/src/deleted.js');
+      fs.readFileSync.mockImplementation(filePath =>
+        filePath === '/repo/src/a.js' ? 'const a = 1;\nconst b = 2;' : JSON.stringify(v8Coverage)
+      );
+    });
+
+    afterEach(() => {
+      process.cwd.mockRestore();
+      fs.existsSync.mockReset();
+      fs.readFileSync.mockReset();
+    });
+
+    it('should convert local scripts using their source files', () => {
+      const result = CoverageParser.parseV8('coverage/tmp/coverage-1.json');
+
+      expect(result).toEqual([
+        {
+          file: 'src/a.js',
+          lines: { details: [{ line: 1, hit: 3 }, { line: 2, hit: 3 }] },
+          branches: { details: [] },
+          functions: { details: [] }
+        }
       ]);
     });
+
+    it('should be detected from a result array', () => {
+      expect(CoverageParser.detectFormat(JSON.stringify(v8Coverage))).toBe('v8');
+    });
   });
 
   describe('parse', () => {
@@ -77,12 +316,57 @@ describe('CoverageParser', () => {
 
     it('should throw error for unsupported format', async () => {
       fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue('<html><body>Coverage</body></html>');
 
-      await expect(CoverageParser.parse('coverage.xml')).rejects.toThrow(
+      await expect(CoverageParser.parse('coverage.html')).rejects.toThrow(
         'Unsupported coverage file format'
       );
     });
 
+    it('should detect LCOV from its contents regardless of the file name', async () => {
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue('TN:\nSF:src/a.js\nDA:1,1\nend_of_record\n');
+
+      const spy = jest.spyOn(CoverageParser, 'parseLcov');
+      spy.mockResolvedValue([]);
+
+      await CoverageParser.parse('coverage.txt');
+
+      expect(spy).toHaveBeenCalledWith('coverage.txt');
+      spy.mockRestore();
+    });
+
+    it('should explain that coverage-summary.json has no per-line data', async () => {
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue(JSON.stringify({
+        total: { lines: { total: 10, covered: 5, skipped: 0, pct: 50 } },
+        '/repo/src/a.js': { lines: { total: 10, covered: 5, skipped: 0, pct: 50 } }
+      }));
+
+      await expect(CoverageParser.parse('coverage/coverage-summary.json')).rejects.toThrow(
+        'is a coverage summary, which only has totals per file'
+      );
+    });
+
+    it('should use an explicit format instead of detecting one', async () => {
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue('');
+
+      const spy = jest.spyOn(CoverageParser, 'parseCobertura');
+      spy.mockReturnValue([]);
+
+      await CoverageParser.parse('report.dat', 'cobertura');
+
+      expect(spy).toHaveBeenCalledWith('report.dat');
+      spy.mockRestore();
+    });
+
+    it('should reject unknown explicit formats', async () => {
+      await expect(CoverageParser.parse('coverage.info', 'html')).rejects.toThrow(
+        'Unknown coverage format "html"'
+      );
+    });
+
     it('should detect JSON format correctly', async () => {
       fs.existsSync.mockReturnValue(true);
       fs.readFileSync.mockReturnValue('{}');
@@ -95,4 +379,102 @@ describe('CoverageParser', () => {
       expect(spy).toHaveBeenCalledWith('coverage.json');
     });
   });
+
+  describe('findCoverageFiles', () => {
+    it('should accept several paths separated by newlines or commas', async () => {
+      fs.existsSync.mockReturnValue(true);
+
+      const files = await CoverageParser.findCoverageFiles('a/lcov.info\nb/lcov.info, a/lcov.info');
+
+      expect(files).toEqual(['a/lcov.info', 'b/lcov.info']);
+      expect(glob.create).not.toHaveBeenCalled();
+    });
+
+    it('should expand glob patterns relative to the working directory', async () => {
+      fs.existsSync.mockReturnValue(false);
+      glob.create.mockResolvedValue({
+        glob: jest.fn().mockResolvedValue([
+          path.join(process.cwd(), 'packages/web/coverage/lcov.info'),
+          path.join(process.cwd(), 'packages/api/coverage/lcov.info')
+        ])
+      });
+
+      const files = await CoverageParser.findCoverageFiles('packages/*/coverage/lcov.info');
+
+      expect(files).toEqual([
+        path.join('packages', 'api', 'coverage', 'lcov.info'),
+        path.join('packages', 'web', 'coverage', 'lcov.info')
+      ]);
+    });
+
+    it('should throw when nothing matches', async () => {
+      fs.existsSync.mockReturnValue(false);
+      glob.create.mockResolvedValue({ glob: jest.fn().mockResolvedValue([]) });
+
+      await expect(CoverageParser.findCoverageFiles('missing/*.info')).rejects.toThrow(
+        'Coverage file not found: missing/*.info'
+      );
+    });
+
+    it('should throw when one of several patterns matches nothing', async () => {
+      fs.existsSync.mockImplementation(filePath => filePath === 'coverage/lcov.info');
+      glob.create.mockResolvedValue({ glob: jest.fn().mockResolvedValue([]) });
+
+      await expect(
+        CoverageParser.findCoverageFiles('coverage/lcov.info, packages/missing/lcov.info')
+      ).rejects.toThrow('Coverage file not found: packages/missing/lcov.info');
+    });
+  });
+
+  describe('merge', () => {
+    it('should sum hit counts for the same source file across data sets', () => {
+      const shardA = [
+        {
+          file: './src/example.js',
+          lines: { details: [{ line: 1, hit: 1 }, { line: 2, hit: 0 }] },
+          branches: { details: [{ line: 2, block: 0, branch: 0, taken: 0 }] },
+          functions: { details: [{ name: 'run', line: 1, hit: 1 }] }
+        }
+      ];
+      const shardB = [
+        {
+          file: 'src/example.js',
+          lines: { details: [{ line: 2, hit: 3 }, { line: 3, hit: 0 }] },
+          branches: { details: [{ line: 2, block: 0, branch: 0, taken: 2 }] },
+          functions: { details: [{ name: 'run', line: 1, hit: 2 }] }
+        },
+        {
+          file: 'src/other.js',
+          lines: { details: [{ line: 1, hit: 0 }] }
+        }
+      ];
+
+      const merged = CoverageParser.merge([shardA, shardB]);
+
+      expect(merged).toHaveLength(2);
+      expect(merged[0]).toEqual({
+        file: 'src/example.js',
+        lines: { details: [{ line: 1, hit: 1 }, { line: 2, hit: 3 }, { line: 3, hit: 0 }] },
+        branches: { details: [{ line: 2, block: 0, branch: 0, taken: 2 }] },
+        functions: { details: [{ name: 'run', line: 1, hit: 3 }] }
+      });
+      expect(merged[1].file).toBe('src/other.js');
+      expect(merged[1].branches.details).toEqual([]);
+    });
+  });
+
+  describe('parseAll', () => {
+    it('should parse each file and merge the results', async () => {
+      const parseSpy = jest.spyOn(CoverageParser, 'parse')
+        .mockResolvedValueOnce([{ file: 'src/a.js', lines: { details: [{ line: 1, hit: 1 }] } }])
+        .mockResolvedValueOnce([{ file: 'src/a.js', lines: { details: [{ line: 1, hit: 2 }] } }]);
+
+      const merged = await CoverageParser.parseAll(['a.info', 'b.json']);
+
+      expect(parseSpy).toHaveBeenCalledWith('a.info', 'auto');
+      expect(parseSpy).toHaveBeenCalledWith('b.json', 'auto');
+      expect(merged[0].lines.details).toEqual([{ line: 1, hit: 3 }]);
+      parseSpy.mockRestore();
+    });
+  });
 });
@@ -0,0 +1,135 @@
+const { mapOldLineToNew, parseChangeBlocks, parsePatch, parseUnifiedDiff, splitUnifiedDiff } = require('../diff-parser');
+
+describe('parsePatch', () => {
+  it('should return added line numbers from hunk headers and context', () => {
+    const patch = [
+      '@@ -1,3 +1,4 @@',
+      ' const a = 1;',
+      '+const b = 2;',
+      ' const c = 3;',
+      '-const d = 4;',
+      '+const d = 5;',
+      '@@ -20,2 +21,3 @@',
+      ' function x() {',
+      '+  return 1;',
+      ' }'
+    ].join('\n');
+
+    expect(parsePatch(patch)).toEqual(new Set([2, 4, 22]));
+  });
+
+  it('should return an empty set for a missing patch', () => {
+    expect(parsePatch(undefined)).toEqual(new Set());
+  });
+});
+
+describe('parseUnifiedDiff', () => {
+  it('should map each file in a git diff to its added lines', () => {
+    const diff = [
+      'diff --git a/src/a.js b/src/a.js',
+      'index 1111111..2222222 100644',
+      '--- a/src/a.js',
+      '+++ b/src/a.js',
+      '@@ -3,0 +4,2 @@ function a() {',
+      '+  one();',
+      '+  two();',
+      'diff --git a/src/new.js b/src/new.js',
+      'new file mode 100644',
+      'index 0000000..3333333',
+      '--- /dev/null',
+      '+++ b/src/new.js',
+      '@@ -0,0 +1 @@',
+      '+module.exports = 1;',
+      ''
+    ].join('\n');
+
+    expect(parseUnifiedDiff(diff)).toEqual({
+      'src/a.js': new Set([4, 5]),
+      'src/new.js': new Set([1])
+    });
+  });
+
+  it('should skip deleted files and keep hunk-less files with no lines', () => {
+    const diff = [
+      'diff --git a/src/old.js b/src/old.js',
+      'deleted file mode 100644',
+      'index 4444444..0000000',
+      '--- a/src/old.js',
+      '+++ /dev/null',
+      '@@ -1 +0,0 @@',
+      '-module.exports = 1;',
+      'diff --git a/assets/logo.png b/assets/logo.png',
+      'index 5555555..6666666 100644',
+      'Binary files a/assets/logo.png and b/assets/logo.png differ',
+      'diff --git a/src/before.js b/src/after.js',
+      'similarity index 100%',
+      'rename from src/before.js',
+      'rename to src/after.js'
+    ].join('\n');
+
+    expect(parseUnifiedDiff(diff)).toEqual({
+      'assets/logo.png': new Set(),
+      'src/after.js': new Set()
+    });
+  });
+});
+
+describe('splitUnifiedDiff', () => {
+  it('should map each file in a git diff to its hunks', () => {
+    const diff = [
+      'diff --git a/src/a.js b/src/a.js',
+      'index 1111111..2222222 100644',
+      '--- a/src/a.js',
+      '+++ b/src/a.js',
+      '@@ -1,0 +2 @@',
+      '+added();'
+    ].join('\n');
+
+    expect(splitUnifiedDiff(diff)).toEqual({ 'src/a.js': '@@ -1,0 +2 @@\n+added();' });
+  });
+});
+
+describe('parseChangeBlocks', () => {
+  it('should record runs of removed and added lines from a patch with context', () => {
+    const patch = [
+      '@@ -1,5 +1,6 @@',
+      ' const a = 1;',
+      '-const b = 2;',
+      '+const b = 3;',
+      '+const c = 4;',
+      ' const d = 5;',
+      '-const e = 6;',
+      ' const f = 7;'
+    ].join('\n');
+
+    expect(parseChangeBlocks(patch)).toEqual([
+      { oldStart: 2, oldLines: 1, newStart: 2, newLines: 2 },
+      { oldStart: 4, oldLines: 1, newStart: 5, newLines: 0 }
+    ]);
+  });
+
+  it('should number empty ranges from zero-context diffs after the line they follow', () => {
+    expect(parseChangeBlocks('@@ -3,0 +4,2 @@\n+a();\n+b();\n@@ -10 +11,0 @@\n-c();')).toEqual([
+      { oldStart: 4, oldLines: 0, newStart: 4, newLines: 2 },
+      { oldStart: 10, oldLines: 1, newStart: 12, newLines: 0 }
+    ]);
+  });
+});
+
+describe('mapOldLineToNew', () => {
+  const blocks = [
+    { oldStart: 2, oldLines: 1, newStart: 2, newLines: 2 },
+    { oldStart: 4, oldLines: 1, newStart: 5, newLines: 0 }
+  ];
+
+  it('should shift unchanged lines by the lines added and removed before them', () => {
+    expect(mapOldLineToNew(blocks, 1)).toBe(1);
+    expect(mapOldLineToNew(blocks, 3)).toBe(4);
+    expect(mapOldLineToNew(blocks, 5)).toBe(5);
+  });
+
+  it('should return null for removed or rewritten lines', () => {
+    expect(mapOldLineToNew(blocks, 2)).toBeNull();
+    expect(mapOldLineToNew(blocks, 4)).toBeNull();
+  });
+});
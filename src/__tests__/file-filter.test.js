@@ -0,0 +1,61 @@
+const { filterChangedLines, isIncluded, parsePatterns } = require('../file-filter');
+
+describe('file-filter', () => {
+  describe('parsePatterns', () => {
+    it('should split patterns on newlines and commas and drop blanks', () => {
+      expect(parsePatterns('src/**\n  **/*.test.js, \n,fixtures/**\n')).toEqual([
+        'src/**',
+        '**/*.test.js',
+        'fixtures/**'
+      ]);
+    });
+
+    it('should keep commas inside brace groups', () => {
+      const patterns = parsePatterns('**/*.test.{js,ts,tsx}, packages/{api,web}/coverage/lcov.info\nsrc/**');
+
+      expect(patterns).toEqual(['**/*.test.{js,ts,tsx}', 'packages/{api,web}/coverage/lcov.info', 'src/**']);
+      expect(isIncluded('src/a.test.ts', { exclude: patterns.slice(0, 1) })).toBe(false);
+    });
+
+    it('should return no patterns for an empty input', () => {
+      expect(parsePatterns('')).toEqual([]);
+      expect(parsePatterns(undefined)).toEqual([]);
+    });
+  });
+
+  describe('isIncluded', () => {
+    it('should include every file when no patterns are set', () => {
+      expect(isIncluded('src/app.js')).toBe(true);
+    });
+
+    it('should require an include match and no exclude match', () => {
+      const filters = { include: ['src/**'], exclude: ['**/*.test.js', '**/__fixtures__/**'] };
+
+      expect(isIncluded('src/app.js', filters)).toBe(true);
+      expect(isIncluded('src/app.test.js', filters)).toBe(false);
+      expect(isIncluded('src/__fixtures__/data.js', filters)).toBe(false);
+      expect(isIncluded('scripts/build.js', filters)).toBe(false);
+    });
+
+    it('should match dotfiles and dot directories', () => {
+      expect(isIncluded('.storybook/main.js', { exclude: ['.storybook/**'] })).toBe(false);
+    });
+  });
+
+  describe('filterChangedLines', () => {
+    it('should return the kept files and the sorted list of files left out', () => {
+      const changedLines = {
+        'src/app.js': new Set([1]),
+        'src/app.stories.tsx': new Set([2]),
+        'db/migrations/001_init.js': new Set([3])
+      };
+
+      const result = filterChangedLines(changedLines, {
+        exclude: ['**/*.stories.tsx', 'db/migrations/**']
+      });
+
+      expect(result.changedLines).toEqual({ 'src/app.js': new Set([1]) });
+      expect(result.excludedFiles).toEqual(['db/migrations/001_init.js', 'src/app.stories.tsx']);
+    });
+  });
+});
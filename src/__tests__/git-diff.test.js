@@ -0,0 +1,63 @@
+const { execFileSync } = require('child_process');
+const { getGitChangedLines, resolveDiffBase } = require('../git-diff');
+
+jest.mock('child_process');
+
+describe('git-diff', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('resolveDiffBase', () => {
+    it('should return the merge-base of the base ref and HEAD by default', () => {
+      execFileSync.mockReturnValue('abc123\n');
+
+      expect(resolveDiffBase('origin/main')).toBe('abc123');
+      expect(execFileSync).toHaveBeenCalledWith(
+        'git',
+        ['merge-base', 'origin/main', 'HEAD'],
+        expect.any(Object)
+      );
+    });
+
+    it('should return the base ref unchanged when merge-base is disabled', () => {
+      expect(resolveDiffBase('origin/main', { mergeBase: false })).toBe('origin/main');
+      expect(execFileSync).not.toHaveBeenCalled();
+    });
+
+    it('should explain missing history when the merge-base cannot be found', () => {
+      execFileSync.mockImplementation(() => {
+        const error = new Error('Command failed');
+        error.stderr = Buffer.from('fatal: Not a valid object name origin/main');
+        throw error;
+      });
+
+      expect(() => resolveDiffBase('origin/main')).toThrow('fetch-depth: 0');
+    });
+
+    it('should require a base ref', () => {
+      expect(() => resolveDiffBase('')).toThrow('A base ref is required');
+    });
+  });
+
+  describe('getGitChangedLines', () => {
+    it('should diff the resolved base against HEAD and parse the output', () => {
+      execFileSync
+        .mockReturnValueOnce('abc123\n')
+        .mockReturnValueOnce([
+          'diff --git a/src/a.js b/src/a.js',
+          '--- a/src/a.js',
+          '+++ b/src/a.js',
+          '@@ -1,0 +2,1 @@',
+          '+added();'
+        ].join('\n'));
+
+      const changedLines = getGitChangedLines('origin/main');
+
+      expect(changedLines).toEqual({ 'src/a.js': new Set([2]) });
+      const diffArgs = execFileSync.mock.calls[1][1];
+      expect(diffArgs).toContain('diff');
+      expect(diffArgs.slice(-2)).toEqual(['abc123', 'HEAD']);
+    });
+  });
+});
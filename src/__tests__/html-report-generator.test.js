@@ -99,6 +99,28 @@ describe('HtmlReportGenerator', () => {
       expect(result.coverageFile).toBe(path.join(generator.reportDir, 'lcov.info'));
     });
 
+    it('should copy several coverage files without overwriting each other', async () => {
+      fs.existsSync.mockImplementation(filePath => filePath.endsWith('lcov.info'));
+      fs.mkdirSync.mockImplementation(() => {});
+      fs.writeFileSync.mockImplementation(() => {});
+      fs.copyFileSync.mockImplementation(() => {});
+
+      const result = await generator.generateReport(
+        { totalLines: 0, coveredLines: 0, coverage: 100.0, fileResults: {} },
+        {},
+        null,
+        null,
+        80,
+        ['packages/api/coverage/lcov.info', 'packages/web/coverage/lcov.info']
+      );
+
+      expect(result.coverageFiles).toEqual([
+        path.join(generator.reportDir, 'packages_api_coverage_lcov.info'),
+        path.join(generator.reportDir, 'packages_web_coverage_lcov.info')
+      ]);
+      expect(fs.copyFileSync).toHaveBeenCalledTimes(2);
+    });
+
     it('should include files with no executable changes in the generated HTML report', async () => {
       const mockCoverageResults = {
         totalLines: 0,
@@ -211,6 +233,198 @@ describe('HtmlReportGenerator', () => {
     });
   });
 
+  describe('branch coverage', () => {
+    it('should show a branch coverage card with pass/fail against the branch threshold', () => {
+      const mockResults = {
+        totalLines: 4,
+        coveredLines: 4,
+        coverage: 100.0,
+        totalBranches: 4,
+        coveredBranches: 2,
+        branchCoverage: 50.0,
+        fileResults: {}
+      };
+
+      const html = generator.generateEnhancedMainReport(mockResults, null, '', 80, 75);
+
+      expect(html).toContain('Branch Coverage');
+      expect(html).toContain('50.0%');
+      expect(html).toContain('2/4 branches on changed lines');
+      expect(html).toContain('❌ FAIL');
+    });
+
+    it('should base the headline status on the threshold failures when given', () => {
+      const mockResults = { totalLines: 4, coveredLines: 4, coverage: 100.0, fileResults: {} };
+      const failure = { metric: 'lines', label: 'changed lines in src/a.js', actual: 50, required: 90, file: 'src/a.js', rule: 'src/**' };
+
+      const failedHtml = generator.generateEnhancedMainReport(mockResults, null, '', 80, null, [failure]);
+      const passedHtml = generator.generateEnhancedMainReport({ ...mockResults, coverage: 50 }, null, '', 80, null, []);
+
+      expect(failedHtml).toContain('<div class="coverage-badge coverage-fail">\n                    ❌ FAIL');
+      expect(passedHtml).toContain('<div class="coverage-badge coverage-pass">\n                    ✅ PASS');
+    });
+
+    it('should omit the branch card when there are no branches or branch threshold', () => {
+      expect(generator.generateBranchSummaryCard(
+        { totalBranches: 0, coveredBranches: 0, branchCoverage: 100 },
+        null
+      )).toBe('');
+    });
+
+    it('should highlight covered changed lines with missed branches as partial', () => {
+      const branchMap = generator.buildBranchMap({
+        branches: {
+          details: [
+            { line: 2, block: 0, branch: 0, taken: 1 },
+            { line: 2, block: 0, branch: 1, taken: 0 }
+          ]
+        }
+      });
+      const coverageMap = new Map([[1, true], [2, true]]);
+
+      const html = generator.renderLinesWithContext(['a();', 'if (x) b();'], [1, 2], [1, 2], coverageMap, branchMap);
+
+      expect(branchMap.get(2)).toEqual({ taken: 1, total: 2 });
+      expect(html).toContain('line-partial');
+      expect(html).toContain('1/2 branches taken');
+    });
+  });
+
+  describe('path rules', () => {
+    it('should show the rule that applied to a file and mark it failed', () => {
+      const ruleCheck = {
+        rule: 'src/payments/**',
+        thresholds: { lines: 95, branches: null, functions: null },
+        failures: [{ metric: 'lines', label: 'changed lines in src/payments/charge.js', actual: 90, required: 95 }]
+      };
+
+      const html = generator.generateFileSection(
+        'src/payments/charge.js',
+        ['a();'],
+        new Set([1]),
+        { totalLines: 10, coveredLines: 9, coverage: 90 },
+        null,
+        'src_payments_charge_js',
+        80,
+        ruleCheck
+      );
+
+      expect(html).toContain('Rule: src/payments/** (95%)');
+      expect(html).toContain('rule-failed');
+      expect(html).toContain('lines: 90.00% &lt; 95%');
+      expect(html).toContain('❌');
+    });
+  });
+
+  describe('ignored lines', () => {
+    it('should list ignored changed lines in the main report', () => {
+      const html = generator.generateEnhancedMainReport({
+        totalLines: 0,
+        coveredLines: 0,
+        coverage: 100.0,
+        fileResults: {},
+        ignoredLines: [{ file: 'src/platform.js', lines: [3, 4, 5, 9] }]
+      }, null, '', 80);
+
+      expect(html).toContain('Ignored changed lines');
+      expect(html).toContain('src/platform.js');
+      expect(html).toContain('3-5, 9');
+    });
+
+    it('should render ignored lines with their own highlighting', () => {
+      const html = generator.renderLinesWithContext(
+        ['a();', 'b();'],
+        [1, 2],
+        [1],
+        new Map([[1, true], [2, false]]),
+        new Map(),
+        new Set([2])
+      );
+
+      expect(html).toContain('line-ignored');
+      expect(html).not.toContain('line-uncovered');
+    });
+  });
+
+  describe('indirect coverage loss', () => {
+    it('should list lost lines and show excerpts for files without a section', () => {
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue('a();\nb();\nc();');
+
+      const html = generator.generateEnhancedMainReport({
+        totalLines: 0,
+        coveredLines: 0,
+        coverage: 100.0,
+        fileResults: {},
+        indirectCoverage: { totalLines: 3, lostLines: 1, coverage: 66.67, files: [{ file: 'src/util.js', lines: [2] }] }
+      }, null, '', 80);
+
+      expect(html).toContain('Indirect coverage loss');
+      expect(html).toContain('src/util.js');
+      expect(html).toContain('<div class="line line-indirect-loss">');
+    });
+
+    it('should highlight lost lines in changed file views', () => {
+      const html = generator.renderLinesWithContext(
+        ['a();', 'b();'],
+        [1, 2],
+        [1],
+        new Map([[1, true], [2, false]]),
+        new Map(),
+        new Set(),
+        new Set([2])
+      );
+
+      expect(html).toContain('line-indirect-loss');
+      expect(html).toContain('line-covered');
+    });
+  });
+
+  describe('badges', () => {
+    it('should write badges into the report directory', () => {
+      fs.existsSync.mockReturnValue(false);
+
+      const paths = generator.writeBadges([{ fileName: 'diff-coverage.svg', svg: '<svg/>' }]);
+
+      expect(fs.mkdirSync).toHaveBeenCalledWith('coverage-report', { recursive: true });
+      expect(fs.writeFileSync).toHaveBeenCalledWith(path.join('coverage-report', 'diff-coverage.svg'), '<svg/>');
+      expect(paths).toEqual([path.join('coverage-report', 'diff-coverage.svg')]);
+    });
+
+    it('should show written badges in the report header', () => {
+      const html = generator.generateEnhancedMainReport({
+        totalLines: 0,
+        coveredLines: 0,
+        coverage: 100.0,
+        fileResults: {},
+        badges: ['diff-coverage.svg', 'total-coverage.svg']
+      }, null, '', 80);
+
+      expect(html).toContain('<img src="diff-coverage.svg" alt="diff-coverage">');
+      expect(html).toContain('<img src="total-coverage.svg" alt="total-coverage">');
+    });
+  });
+
+  describe('coverage trend', () => {
+    it('should show repository and file trends once there are earlier runs', () => {
+      const html = generator.generateTrendSection({
+        runs: 3,
+        diffCoverage: [50, 75, 100],
+        totalCoverage: [70, 71, 72],
+        files: { 'src/a.js': [60, 65] }
+      });
+
+      expect(html).toContain('Coverage trend');
+      expect(html).toContain('last 3 recorded runs');
+      expect(html).toContain('src/a.js');
+      expect(html).toContain('65.00%');
+    });
+
+    it('should render nothing for the first recorded run', () => {
+      expect(generator.generateTrendSection({ runs: 1, diffCoverage: [80], totalCoverage: [70], files: {} })).toBe('');
+    });
+  });
+
   describe('getCoverageBadgeClass', () => {
     it('should return pass or fail based on minimum coverage threshold', () => {
       expect(generator.getCoverageBadgeClass(85, 80)).toBe('coverage-pass');
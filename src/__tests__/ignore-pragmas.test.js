@@ -0,0 +1,136 @@
+const { applyIgnorePragmas, findIgnoredLines } = require('../ignore-pragmas');
+
+describe('ignore-pragmas', () => {
+  describe('findIgnoredLines', () => {
+    it('should ignore the line after a next-line pragma', () => {
+      const source = [
+        'function a() {',
+        '  // diff-coverage-ignore-next-line',
+        '  if (process.platform === "win32") return;',
+        '  return 1;',
+        '}'
+      ].join('\n');
+
+      expect(findIgnoredLines(source)).toEqual({ ignored: new Set([3]), unterminatedStart: null });
+    });
+
+    it('should ignore blocks between start and end pragmas', () => {
+      const source = [
+        'a();',
+        '/* diff-coverage-ignore-start */',
+        'b();',
+        'c();',
+        '/* diff-coverage-ignore-end */',
+        'd();'
+      ].join('\n');
+
+      expect(findIgnoredLines(source)).toEqual({ ignored: new Set([2, 3, 4, 5]), unterminatedStart: null });
+    });
+
+    it('should not apply an unterminated block and report its start', () => {
+      const source = ['a();', '// diff-coverage-ignore-start', 'b();'].join('\n');
+
+      expect(findIgnoredLines(source)).toEqual({ ignored: new Set(), unterminatedStart: 2 });
+    });
+
+    it('should only recognize pragmas inside comments', () => {
+      const source = [
+        'const help = "use diff-coverage-ignore-start to skip";',
+        'a();',
+        ' * `diff-coverage-ignore-next-line` excludes the next line',
+        'b();',
+        ' * diff-coverage-ignore-next-line',
+        'c();'
+      ].join('\n');
+
+      expect(findIgnoredLines(source)).toEqual({ ignored: new Set([6]), unterminatedStart: null });
+    });
+
+    it('should ignore comment markers inside string literals', () => {
+      const source = [
+        'const tag = "#diff-coverage-ignore-next-line";',
+        'a();',
+        "const note = 'see // diff-coverage-ignore-start';",
+        'b();',
+        'const quoted = "say \\"/* diff-coverage-ignore-next-line */\\"";',
+        'c();'
+      ].join('\n');
+
+      expect(findIgnoredLines(source)).toEqual({ ignored: new Set(), unterminatedStart: null });
+    });
+
+    it('should recognize a comment after code on the same line', () => {
+      const source = [
+        'const url = "http://example.com"; // diff-coverage-ignore-next-line',
+        'a();'
+      ].join('\n');
+
+      expect(findIgnoredLines(source)).toEqual({ ignored: new Set([2]), unterminatedStart: null });
+    });
+
+    it('should not treat # as a comment', () => {
+      const source = ['# diff-coverage-ignore-next-line', 'a();'].join('\n');
+
+      expect(findIgnoredLines(source)).toEqual({ ignored: new Set(), unterminatedStart: null });
+    });
+  });
+
+  describe('applyIgnorePragmas', () => {
+    const sources = {
+      'src/platform.js': [
+        'export function open() {',
+        '  // diff-coverage-ignore-next-line',
+        '  if (isWindows) return openWindows();',
+        '  return openPosix();',
+        '}'
+      ].join('\n'),
+      'src/plain.js': 'a();\nb();',
+      'src/defensive.js': [
+        '// diff-coverage-ignore-start',
+        'throw new Error("unreachable");',
+        '// diff-coverage-ignore-end'
+      ].join('\n')
+    };
+    const readFile = filePath => {
+      if (!(filePath in sources)) throw new Error('ENOENT');
+      return sources[filePath];
+    };
+
+    it('should remove ignored changed lines and report them per file', () => {
+      const result = applyIgnorePragmas({
+        'src/platform.js': new Set([3, 4]),
+        'src/plain.js': new Set([1]),
+        'src/defensive.js': new Set([2]),
+        'src/deleted-locally.js': new Set([7])
+      }, readFile);
+
+      expect(result.changedLines).toEqual({
+        'src/platform.js': new Set([4]),
+        'src/plain.js': new Set([1]),
+        'src/deleted-locally.js': new Set([7])
+      });
+      expect(result.ignoredLines).toEqual([
+        { file: 'src/defensive.js', lines: [2] },
+        { file: 'src/platform.js', lines: [3] }
+      ]);
+    });
+
+    it('should keep files untouched when pragmas are outside the changed lines', () => {
+      const result = applyIgnorePragmas({ 'src/platform.js': new Set([1]) }, readFile);
+
+      expect(result.changedLines).toEqual({ 'src/platform.js': new Set([1]) });
+      expect(result.ignoredLines).toEqual([]);
+    });
+
+    it('should report start pragmas without a matching end', () => {
+      const result = applyIgnorePragmas(
+        { 'src/open.js': new Set([2, 3]) },
+        () => 'a();\n// diff-coverage-ignore-start\nb();'
+      );
+
+      expect(result.changedLines).toEqual({ 'src/open.js': new Set([2, 3]) });
+      expect(result.ignoredLines).toEqual([]);
+      expect(result.unterminatedBlocks).toEqual([{ file: 'src/open.js', line: 2 }]);
+    });
+  });
+});
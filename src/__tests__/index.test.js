@@ -0,0 +1,298 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const core = require('@actions/core');
+const github = require('@actions/github');
+const { getGitDiff } = require('../git-diff');
+const { CoverageAnalyzer, run } = require('../index');
+
+jest.mock('@actions/core');
+jest.mock('@actions/github', () => ({ getOctokit: jest.fn(), context: {} }));
+jest.mock('../git-diff');
+
+const patchFor = file => [
+  `diff --git a/${file} b/${file}`,
+  `--- a/${file}`,
+  `+++ b/${file}`,
+  '@@ -1,1 +1,2 @@',
+  ' a();',
+  '+b();',
+  ''
+].join('\n');
+
+describe('CoverageAnalyzer', () => {
+  let octokit;
+
+  const createAnalyzer = (pullRequest = {}) => {
+    github.context.repo = { owner: 'owner', repo: 'repo' };
+    github.context.payload = { pull_request: { number: 7, base: { sha: 'base-sha' }, ...pullRequest } };
+    return new CoverageAnalyzer();
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    octokit = {
+      paginate: jest.fn(),
+      rest: {
+        pulls: { listFiles: jest.fn(), get: jest.fn() },
+        repos: { getContent: jest.fn() },
+        git: { getBlob: jest.fn() },
+        checks: { create: jest.fn(), update: jest.fn() }
+      }
+    };
+    core.getInput.mockReturnValue('token');
+    github.getOctokit.mockReturnValue(octokit);
+  });
+
+  describe('listPrFiles', () => {
+    it('should request every page of the PR files', async () => {
+      const files = [{ filename: 'src/a.js' }, { filename: 'src/b.js' }];
+      octokit.paginate.mockResolvedValue(files);
+      const analyzer = createAnalyzer({ changed_files: 2 });
+
+      await expect(analyzer.listPrFiles()).resolves.toBe(files);
+      expect(octokit.paginate).toHaveBeenCalledWith(octokit.rest.pulls.listFiles, {
+        owner: 'owner',
+        repo: 'repo',
+        pull_number: 7,
+        per_page: 100
+      });
+      expect(analyzer.fileListTruncated).toBe(false);
+    });
+
+    it('should detect a file list cut off at the API limit', async () => {
+      octokit.paginate.mockResolvedValue(Array.from({ length: 3000 }, (_, i) => ({ filename: `f${i}.js` })));
+      const analyzer = createAnalyzer({ changed_files: 3500 });
+
+      await analyzer.listPrFiles();
+
+      expect(analyzer.fileListTruncated).toBe(true);
+      expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('first 3000 files'));
+    });
+
+    it('should not flag a PR with exactly as many files as the limit', async () => {
+      octokit.paginate.mockResolvedValue(Array.from({ length: 3000 }, (_, i) => ({ filename: `f${i}.js` })));
+      const analyzer = createAnalyzer({ changed_files: 3000 });
+
+      await analyzer.listPrFiles();
+
+      expect(analyzer.fileListTruncated).toBe(false);
+    });
+  });
+
+  describe('getRawDiffChangedLines', () => {
+    it('should use the raw PR diff when it has every file', async () => {
+      octokit.rest.pulls.get.mockResolvedValue({ data: patchFor('src/big.js') });
+      const analyzer = createAnalyzer();
+
+      const changedLines = await analyzer.getRawDiffChangedLines(['src/big.js']);
+
+      expect(changedLines).toEqual({ 'src/big.js': new Set([2]) });
+      expect(octokit.rest.pulls.get).toHaveBeenCalledWith(expect.objectContaining({ mediaType: { format: 'diff' } }));
+      expect(getGitDiff).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to git when the raw diff misses a file', async () => {
+      octokit.rest.pulls.get.mockResolvedValue({ data: patchFor('src/big.js') });
+      getGitDiff.mockReturnValue(patchFor('src/big.js') + patchFor('src/huge.js'));
+      const analyzer = createAnalyzer();
+
+      const changedLines = await analyzer.getRawDiffChangedLines(['src/big.js', 'src/huge.js']);
+
+      expect(Object.keys(changedLines)).toEqual(['src/big.js', 'src/huge.js']);
+      expect(getGitDiff).toHaveBeenCalledWith('base-sha', { mergeBase: true });
+    });
+
+    it('should fall back to git when the raw diff cannot be fetched', async () => {
+      octokit.rest.pulls.get.mockRejectedValue(new Error('diff too large'));
+      getGitDiff.mockReturnValue(patchFor('src/huge.js'));
+      const analyzer = createAnalyzer();
+
+      const changedLines = await analyzer.getRawDiffChangedLines(['src/huge.js']);
+
+      expect(Object.keys(changedLines)).toEqual(['src/huge.js']);
+      expect(core.warning).toHaveBeenCalledWith('Failed to fetch the raw PR diff: diff too large');
+    });
+
+    it('should keep the files the raw diff recovered when git fails', async () => {
+      octokit.rest.pulls.get.mockResolvedValue({ data: patchFor('src/big.js') });
+      getGitDiff.mockImplementation(() => {
+        throw new Error('base commit not fetched');
+      });
+      const analyzer = createAnalyzer();
+
+      const changedLines = await analyzer.getRawDiffChangedLines(['src/big.js', 'src/huge.js']);
+
+      expect(changedLines).toEqual({ 'src/big.js': new Set([2]) });
+      expect(core.warning).toHaveBeenCalledWith('Failed to compute changed lines from git: base commit not fetched');
+    });
+  });
+
+  describe('getPrChangedLines', () => {
+    it('should recover files without a patch and list those it cannot recover', async () => {
+      octokit.paginate.mockResolvedValue([
+        { filename: 'src/a.js', status: 'modified', patch: '@@ -1,1 +1,2 @@\n a();\n+b();' },
+        { filename: 'src/old.js', status: 'removed' },
+        { filename: 'src/big.js', status: 'modified' },
+        { filename: 'src/huge.js', status: 'modified' }
+      ]);
+      octokit.rest.pulls.get.mockResolvedValue({ data: patchFor('src/big.js') });
+      getGitDiff.mockImplementation(() => {
+        throw new Error('not a git repository');
+      });
+      const analyzer = createAnalyzer();
+
+      const changedLines = await analyzer.getPrChangedLines();
+
+      expect(changedLines).toEqual({
+        'src/a.js': new Set([2]),
+        'src/big.js': new Set([2])
+      });
+      expect(analyzer.unanalyzedFiles).toEqual([{ file: 'src/huge.js', reason: 'Diff too large to retrieve' }]);
+      expect(Object.keys(analyzer.changeBlocks)).toEqual(['src/a.js', 'src/big.js']);
+    });
+  });
+
+  describe('readHistory', () => {
+    const history = [{ commit: 'abc', diffCoverage: 80 }];
+    const encoded = Buffer.from(JSON.stringify(history)).toString('base64');
+
+    it('should decode the inline content of the history file', async () => {
+      octokit.rest.repos.getContent.mockResolvedValue({ data: { content: encoded, encoding: 'base64', sha: 'file-sha' } });
+      const analyzer = createAnalyzer();
+
+      await expect(analyzer.readHistory('history.json', 'coverage-history')).resolves.toEqual({ history, sha: 'file-sha' });
+      expect(octokit.rest.git.getBlob).not.toHaveBeenCalled();
+    });
+
+    it('should read history files over 1 MB through the blobs API', async () => {
+      octokit.rest.repos.getContent.mockResolvedValue({ data: { content: '', encoding: 'none', sha: 'file-sha' } });
+      octokit.rest.git.getBlob.mockResolvedValue({ data: { content: encoded, encoding: 'base64' } });
+      const analyzer = createAnalyzer();
+
+      await expect(analyzer.readHistory('history.json', 'coverage-history')).resolves.toEqual({ history, sha: 'file-sha' });
+      expect(octokit.rest.git.getBlob).toHaveBeenCalledWith({ owner: 'owner', repo: 'repo', file_sha: 'file-sha' });
+    });
+
+    it('should start a new history when the branch or file is missing', async () => {
+      octokit.rest.repos.getContent.mockRejectedValue(Object.assign(new Error('Not Found'), { status: 404 }));
+      const analyzer = createAnalyzer();
+
+      await expect(analyzer.readHistory('history.json', 'coverage-history')).resolves.toEqual({ history: [], sha: null });
+    });
+  });
+
+  describe('createCheckRun', () => {
+    it('should send annotations in batches of 50 and complete the check run last', async () => {
+      octokit.rest.checks.create.mockResolvedValue({ data: { id: 42 } });
+      octokit.rest.checks.update.mockResolvedValue({});
+      const analyzer = createAnalyzer({ head: { sha: 'head-sha' } });
+      // Every other line, so each uncovered line is its own annotation
+      const uncoveredLines = Array.from({ length: 120 }, (_, i) => i * 2 + 1);
+      const results = { coverage: 50, fileResults: { 'src/a.js': { uncoveredLines } } };
+
+      await analyzer.createCheckRun('Diff Coverage', results, 'report', false);
+
+      const { create, update } = octokit.rest.checks;
+      expect(create).toHaveBeenCalledTimes(1);
+      expect(create.mock.calls[0][0]).toMatchObject({ head_sha: 'head-sha', status: 'in_progress' });
+      expect(create.mock.calls[0][0].output.annotations.map(a => a.start_line)).toEqual(uncoveredLines.slice(0, 50));
+
+      expect(update).toHaveBeenCalledTimes(3);
+      expect(update.mock.calls[0][0].output.annotations.map(a => a.start_line)).toEqual(uncoveredLines.slice(50, 100));
+      expect(update.mock.calls[1][0].output.annotations.map(a => a.start_line)).toEqual(uncoveredLines.slice(100));
+      expect(update.mock.calls[2][0]).toMatchObject({ check_run_id: 42, status: 'completed', conclusion: 'failure' });
+      expect(update.mock.calls[2][0].output.annotations).toBeUndefined();
+
+      expect(create.mock.invocationCallOrder[0]).toBeLessThan(update.mock.invocationCallOrder[0]);
+      expect(update.mock.calls.slice(0, 2).every(([params]) => params.status === undefined)).toBe(true);
+    });
+  });
+
+  describe('buildCoverageReport', () => {
+    it('should list the uncovered line ranges of each file', () => {
+      const analyzer = createAnalyzer();
+      const fileResult = (uncoveredLines, coverage) => ({
+        totalLines: 6, coveredLines: 6 - uncoveredLines.length, coverage, totalBranches: 0, uncoveredLines
+      });
+      const results = {
+        totalLines: 12,
+        coveredLines: 8,
+        coverage: 66.67,
+        uncoveredFunctions: [],
+        fileResults: {
+          'src/a.js': fileResult([2, 3, 4, 9], 33.33),
+          'src/b.js': fileResult([], 100)
+        }
+      };
+
+      const report = analyzer.buildCoverageReport(results, { lines: 80, branches: null, functions: null }, []);
+
+      expect(report).toContain('| Uncovered Lines |');
+      expect(report).toContain('| src/a.js | ❌ 33.33% | — | 6 | 2 | 2-4, 9 |');
+      expect(report).toContain('| src/b.js | ✅ 100.00% | — | 6 | 6 | — |');
+    });
+  });
+});
+
+describe('run', () => {
+  let tmpDir;
+  let inputs;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'diff-coverage-run-'));
+    const coverageFile = path.join(tmpDir, 'lcov.info');
+    fs.writeFileSync(coverageFile, 'SF:lib/changed.js\nDA:1,1\nDA:2,0\nend_of_record\n');
+
+    inputs = {
+      'coverage-file': coverageFile,
+      'diff-source': 'git',
+      'base-ref': 'base-sha',
+      'minimum-coverage': '80',
+      'github-token': 'token',
+      'comment-on-pr': 'false'
+    };
+    core.getInput.mockImplementation(name => inputs[name] || '');
+    core.summary = { addRaw: jest.fn().mockReturnThis(), write: jest.fn().mockResolvedValue() };
+    github.getOctokit.mockReturnValue({ rest: {} });
+    github.context.repo = { owner: 'owner', repo: 'repo' };
+    github.context.payload = { pull_request: { number: 7, base: { sha: 'base-sha' }, head: { sha: 'head-sha' } } };
+    getGitDiff.mockReturnValue(patchFor('lib/changed.js'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const expectJobSummary = () => {
+    expect(core.summary.addRaw).toHaveBeenCalledWith(expect.stringContaining('| lib/changed.js | ❌ 0.00% | — | 1 | 0 | 2 |'), true);
+    expect(core.summary.write).toHaveBeenCalled();
+  };
+
+  it('should write the job summary when PR comments are off', async () => {
+    await run();
+
+    expectJobSummary();
+    expect(core.setFailed).not.toHaveBeenCalled();
+  });
+
+  it('should write the job summary without a token', async () => {
+    inputs['github-token'] = '';
+    inputs['comment-on-pr'] = 'true';
+
+    await run();
+
+    expectJobSummary();
+    expect(github.getOctokit).not.toHaveBeenCalled();
+    expect(core.info).toHaveBeenCalledWith('Skipping PR comment: no pull request context or GitHub token available');
+  });
+
+  it('should not write the job summary when it is turned off', async () => {
+    inputs['job-summary'] = 'false';
+
+    await run();
+
+    expect(core.summary.addRaw).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,58 @@
+const { findIndirectCoverageLoss } = require('../indirect-coverage');
+
+const fileData = (file, hits) => ({ file, lines: { details: hits.map(([line, hit]) => ({ line, hit })) } });
+
+describe('findIndirectCoverageLoss', () => {
+  it('should list unchanged lines that were covered before and are uncovered now', () => {
+    const result = findIndirectCoverageLoss(
+      [fileData('src/a.js', [[1, 1], [2, 1], [3, 0]])],
+      [fileData('src/a.js', [[1, 1], [2, 0], [3, 0]])]
+    );
+
+    expect(result).toEqual({
+      totalLines: 2,
+      lostLines: 1,
+      coverage: 50,
+      files: [{ file: 'src/a.js', lines: [2] }]
+    });
+  });
+
+  it('should follow lines across the diff and skip lines it removed', () => {
+    // Base line 2 was rewritten into head lines 2-3, so base line 3 is head line 4
+    const changeBlocks = { 'src/a.js': [{ oldStart: 2, oldLines: 1, newStart: 2, newLines: 2 }] };
+
+    const result = findIndirectCoverageLoss(
+      [fileData('src/a.js', [[1, 1], [2, 1], [3, 1]])],
+      [fileData('src/a.js', [[1, 1], [2, 0], [3, 0], [4, 0]])],
+      changeBlocks
+    );
+
+    expect(result.totalLines).toBe(2);
+    expect(result.files).toEqual([{ file: 'src/a.js', lines: [4] }]);
+  });
+
+  it('should skip files missing from head coverage or left out by filters', () => {
+    const result = findIndirectCoverageLoss(
+      [fileData('src/gone.js', [[1, 1]]), fileData('src/generated.js', [[1, 1]])],
+      [fileData('src/generated.js', [[1, 0]])],
+      {},
+      file => !file.includes('generated')
+    );
+
+    expect(result).toEqual({ totalLines: 0, lostLines: 0, coverage: 100, files: [] });
+  });
+
+  it('should skip changed files whose change blocks are unknown', () => {
+    // src/big.js changed but its patch couldn't be retrieved, so its lines may have shifted
+    const result = findIndirectCoverageLoss(
+      [fileData('src/big.js', [[1, 1], [2, 1]]), fileData('src/a.js', [[1, 1]])],
+      [fileData('src/big.js', [[1, 0], [2, 0]]), fileData('src/a.js', [[1, 0]])],
+      {},
+      () => true,
+      ['src/big.js']
+    );
+
+    expect(result.totalLines).toBe(1);
+    expect(result.files).toEqual([{ file: 'src/a.js', lines: [1] }]);
+  });
+});
@@ -0,0 +1,90 @@
+const { buildJUnitReport } = require('../junit');
+
+describe('junit', () => {
+  const fileResult = (covered, total, uncoveredLines) => ({
+    totalLines: total,
+    coveredLines: covered,
+    coverage: (covered / total) * 100,
+    uncoveredLines,
+    totalBranches: 0,
+    coveredBranches: 0,
+    branchCoverage: 100,
+    totalFunctions: 0,
+    coveredFunctions: 0,
+    functionCoverage: 100
+  });
+
+  const thresholds = { lines: 80, branches: null, functions: null };
+
+  describe('buildJUnitReport', () => {
+    it('should write one test case per file and fail files below the threshold', () => {
+      const xml = buildJUnitReport({
+        fileResults: {
+          'src/a.js': fileResult(4, 4, []),
+          'src/b.js': fileResult(1, 4, [3, 4, 5])
+        }
+      }, thresholds, 'Diff Coverage', '2024-01-01T00:00:00.000Z');
+
+      expect(xml).toBe([
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<testsuites name="Diff Coverage" tests="2" failures="1" errors="0" skipped="0" time="0">',
+        '  <testsuite name="Diff Coverage" tests="2" failures="1" errors="0" skipped="0" time="0" timestamp="2024-01-01T00:00:00.000Z">',
+        '    <testcase classname="Diff Coverage" name="src/a.js" time="0">',
+        '      <system-out>Lines: 4/4 (100.00%)</system-out>',
+        '    </testcase>',
+        '    <testcase classname="Diff Coverage" name="src/b.js" time="0">',
+        '      <failure message="Code coverage of changed lines in src/b.js (25.00%) is below the required threshold (80%)" type="coverage">' +
+          'Code coverage of changed lines in src/b.js (25.00%) is below the required threshold (80%)\nUncovered lines: 3-5</failure>',
+        '      <system-out>Lines: 1/4 (25.00%)</system-out>',
+        '    </testcase>',
+        '  </testsuite>',
+        '</testsuites>',
+        ''
+      ].join('\n'));
+    });
+
+    it('should use the failures of the path rule that matched a file', () => {
+      const xml = buildJUnitReport({
+        fileResults: {
+          'src/core/a.js': fileResult(3, 4, [2]),
+          'src/b.js': fileResult(3, 4, [7])
+        },
+        ruleChecks: {
+          'src/core/a.js': {
+            rule: 'src/core/**',
+            failures: [{ metric: 'lines', label: 'changed lines in src/core/a.js', actual: 75, required: 90, file: 'src/core/a.js', rule: 'src/core/**' }]
+          }
+        }
+      }, { lines: 70, branches: null, functions: null });
+
+      expect(xml).toContain('tests="2" failures="1"');
+      expect(xml).toContain('is below the required threshold (90%) of rule `src/core/**`');
+      expect(xml).not.toContain('Uncovered lines: 7');
+    });
+
+    it('should escape file names and suite names', () => {
+      const xml = buildJUnitReport({ fileResults: { 'src/<a>&b.js': fileResult(1, 1, []) } }, thresholds, 'Coverage "gate"');
+
+      expect(xml).toContain('name="src/&lt;a&gt;&amp;b.js"');
+      expect(xml).toContain('<testsuites name="Coverage &quot;gate&quot;"');
+    });
+
+    it('should show branch and function coverage in the test case output', () => {
+      const xml = buildJUnitReport({
+        fileResults: {
+          'src/a.js': {
+            ...fileResult(2, 2, []),
+            totalBranches: 2,
+            coveredBranches: 1,
+            branchCoverage: 50,
+            totalFunctions: 1,
+            coveredFunctions: 1,
+            functionCoverage: 100
+          }
+        }
+      }, thresholds);
+
+      expect(xml).toContain('<system-out>Lines: 2/2 (100.00%)\nBranches: 1/2 (50.00%)\nFunctions: 1/1 (100.00%)</system-out>');
+    });
+  });
+});
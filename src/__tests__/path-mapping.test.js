@@ -0,0 +1,121 @@
+const path = require('path');
+const { mapCoveragePaths, parsePathRewrites, rewriteCoveragePaths, rewritePath } = require('../path-mapping');
+
+const fileData = (file, hit = 1) => ({ file, lines: { details: [{ line: 1, hit }] } });
+
+describe('parsePathRewrites', () => {
+  it('should parse from => to rules separated by newlines or commas', () => {
+    expect(parsePathRewrites('/app/ => \nC:\\work\\repo => ,packages/api/coverage/ => packages/api')).toEqual([
+      { from: '/app', to: '' },
+      { from: 'C:/work/repo', to: '' },
+      { from: 'packages/api/coverage', to: 'packages/api' }
+    ]);
+  });
+
+  it('should reject rules without a separator', () => {
+    expect(() => parsePathRewrites('/app/src')).toThrow('Invalid path rewrite "/app/src"');
+  });
+});
+
+describe('rewritePath', () => {
+  const rewrites = [{ from: '/app', to: '' }, { from: 'src', to: 'packages/api/src' }];
+
+  it('should replace the first matching prefix', () => {
+    expect(rewritePath('/app/src/a.js', rewrites)).toBe('src/a.js');
+    expect(rewritePath('src/a.js', rewrites)).toBe('packages/api/src/a.js');
+  });
+
+  it('should only match prefixes at a path boundary', () => {
+    expect(rewritePath('/application/a.js', rewrites)).toBe('/application/a.js');
+  });
+});
+
+describe('mapCoveragePaths', () => {
+  it('should apply rewrites and normalize Windows paths', () => {
+    const { coverageData, unmatchedPaths } = mapCoveragePaths(
+      [fileData('C:\\work\\repo\\src\\a.js')],
+      ['src/a.js'],
+      [{ from: 'C:/work/repo', to: '' }]
+    );
+
+    expect(coverageData.map(file => file.file)).toEqual(['src/a.js']);
+    expect(unmatchedPaths).toEqual([]);
+  });
+
+  it('should fall back to suffix matching in either direction', () => {
+    const { coverageData } = mapCoveragePaths(
+      [fileData('/app/src/a.js'), fileData('src/b.js')],
+      ['src/a.js', 'packages/api/src/b.js']
+    );
+
+    expect(coverageData.map(file => file.file)).toEqual(['src/a.js', 'packages/api/src/b.js']);
+  });
+
+  it('should not suffix-match coverage of a file that exists in the checkout', () => {
+    // src/index.js is a real file in this repository
+    const { coverageData, unmatchedPaths } = mapCoveragePaths(
+      [fileData('src/index.js')],
+      ['packages/api/src/index.js']
+    );
+
+    expect(coverageData.map(file => file.file)).toEqual(['src/index.js']);
+    expect(unmatchedPaths).toEqual(['src/index.js']);
+  });
+
+  it('should match absolute coverage paths inside the checkout to changed files', () => {
+    // src/index.js exists, so it must be matched by its relative path rather than by suffix
+    const { coverageData, unmatchedPaths } = mapCoveragePaths(
+      [fileData(path.join(process.cwd(), 'src', 'index.js'))],
+      ['src/index.js']
+    );
+
+    expect(coverageData.map(file => file.file)).toEqual(['src/index.js']);
+    expect(unmatchedPaths).toEqual([]);
+  });
+
+  it('should leave ambiguous suffix matches and unrelated files unmatched', () => {
+    const { coverageData, unmatchedPaths } = mapCoveragePaths(
+      [fileData('src/index.js'), fileData('src/other.js')],
+      ['packages/api/src/index.js', 'packages/web/src/index.js']
+    );
+
+    expect(coverageData.map(file => file.file)).toEqual(['src/index.js', 'src/other.js']);
+    expect(unmatchedPaths).toEqual(['src/index.js', 'src/other.js']);
+  });
+
+  it('should not suffix-match changed files that already have exact coverage', () => {
+    const { coverageData } = mapCoveragePaths(
+      [fileData('src/a.js', 1), fileData('/tmp/build/src/a.js', 5)],
+      ['src/a.js']
+    );
+
+    expect(coverageData).toEqual([
+      expect.objectContaining({ file: 'src/a.js', lines: { details: [{ line: 1, hit: 1 }] } }),
+      expect.objectContaining({ file: '/tmp/build/src/a.js' })
+    ]);
+  });
+
+  it('should merge coverage that maps to the same file', () => {
+    const { coverageData } = mapCoveragePaths(
+      [fileData('/app/src/a.js', 1), fileData('/app2/src/a.js', 2)],
+      ['src/a.js'],
+      [{ from: '/app', to: '' }, { from: '/app2', to: '' }]
+    );
+
+    expect(coverageData).toEqual([
+      expect.objectContaining({ file: 'src/a.js', lines: { details: [{ line: 1, hit: 3 }] } })
+    ]);
+  });
+});
+
+describe('rewriteCoveragePaths', () => {
+  it('should normalize and rewrite paths, merging coverage of the same file', () => {
+    const coverageData = rewriteCoveragePaths(
+      [fileData('/app/dist/x.js', 1), fileData('C:\\app\\dist\\x.js', 2), fileData('lib/y.js')],
+      [{ from: '/app', to: '' }, { from: 'C:/app', to: '' }]
+    );
+
+    expect(coverageData.map(file => file.file)).toEqual(['dist/x.js', 'lib/y.js']);
+    expect(coverageData[0].lines.details).toEqual([{ line: 1, hit: 3 }]);
+  });
+});
@@ -0,0 +1,115 @@
+const { buildResultsJson, listUncoveredFiles } = require('../results-file');
+
+describe('results file', () => {
+  const results = {
+    totalLines: 6,
+    coveredLines: 4,
+    coverage: 66.666666,
+    totalBranches: 2,
+    coveredBranches: 1,
+    branchCoverage: 50,
+    totalFunctions: 1,
+    coveredFunctions: 0,
+    functionCoverage: 0,
+    uncoveredFunctions: [{ file: 'src/b.js', name: 'helper', line: 3 }],
+    fileResults: {
+      'src/a.js': {
+        totalLines: 2, coveredLines: 2, coverage: 100, uncoveredLines: [],
+        totalBranches: 0, coveredBranches: 0, branchCoverage: 100,
+        totalFunctions: 0, coveredFunctions: 0, functionCoverage: 100
+      },
+      'src/b.js': {
+        totalLines: 4, coveredLines: 2, coverage: 50, uncoveredLines: [3, 4],
+        totalBranches: 2, coveredBranches: 1, branchCoverage: 50,
+        totalFunctions: 1, coveredFunctions: 0, functionCoverage: 0
+      }
+    },
+    missingFromCoverage: [{ file: 'src/c.js', changedLines: 3 }],
+    noTrackableLines: [],
+    excludedFiles: ['docs/a.md'],
+    ignoredLines: [],
+    ruleChecks: { 'src/b.js': { rule: 'src/**', thresholds: {}, failures: [] } }
+  };
+
+  describe('buildResultsJson', () => {
+    it('should include the summary, per-file stats, missing files and failures', () => {
+      const json = buildResultsJson({
+        results,
+        thresholds: { lines: 80, branches: null, functions: null },
+        thresholdFailures: [{ metric: 'lines', label: 'changed lines', actual: 66.666666, required: 80 }],
+        rules: [{ path: 'src/**', lines: 90, branches: null, functions: null }],
+        pullRequest: 12,
+        commit: 'abc',
+        timestamp: '2024-01-01T00:00:00.000Z'
+      });
+
+      expect(json).toMatchObject({
+        schemaVersion: 1,
+        timestamp: '2024-01-01T00:00:00.000Z',
+        pullRequest: 12,
+        commit: 'abc',
+        meetsThreshold: false,
+        summary: {
+          lines: { total: 6, covered: 4, coverage: 66.67 },
+          branches: { total: 2, covered: 1, coverage: 50 },
+          functions: { total: 1, covered: 0, coverage: 0 }
+        },
+        thresholds: { lines: 80, branches: null, functions: null, indirect: null },
+        rules: [{ path: 'src/**', lines: 90, branches: null, functions: null }],
+        missingFromCoverage: [{ file: 'src/c.js', changedLines: 3 }],
+        excludedFiles: ['docs/a.md']
+      });
+      expect(json.thresholdFailures).toEqual([{
+        metric: 'lines',
+        actual: 66.67,
+        required: 80,
+        file: null,
+        rule: null,
+        message: 'coverage of changed lines (66.67%) is below the required threshold (80%)'
+      }]);
+      expect(json.files[1]).toEqual({
+        file: 'src/b.js',
+        lines: { total: 4, covered: 2, coverage: 50 },
+        branches: { total: 2, covered: 1, coverage: 50 },
+        functions: { total: 1, covered: 0, coverage: 0 },
+        uncoveredLines: [3, 4],
+        uncoveredFunctions: [{ name: 'helper', line: 3 }],
+        rule: 'src/**'
+      });
+      expect(json).not.toHaveProperty('baseComparison');
+    });
+
+    it('should include the base comparison and indirect coverage when computed', () => {
+      const json = buildResultsJson({
+        results: {
+          ...results,
+          baseComparison: {
+            base: { totalLines: 10, coveredLines: 8, coverage: 80 },
+            head: { totalLines: 10, coveredLines: 7, coverage: 70 },
+            delta: -10,
+            files: {},
+            decreasedFiles: ['src/b.js']
+          },
+          indirectCoverage: { totalLines: 4, lostLines: 1, coverage: 75, files: [{ file: 'src/d.js', lines: [9] }] }
+        },
+        thresholds: { lines: 80, branches: null, functions: null, indirect: 100 },
+        thresholdFailures: []
+      });
+
+      expect(json.meetsThreshold).toBe(true);
+      expect(json.baseComparison).toEqual({
+        base: { total: 10, covered: 8, coverage: 80 },
+        head: { total: 10, covered: 7, coverage: 70 },
+        delta: -10,
+        decreasedFiles: ['src/b.js']
+      });
+      expect(json.indirectCoverage).toEqual({ totalLines: 4, lostLines: 1, coverage: 75, files: [{ file: 'src/d.js', lines: [9] }] });
+    });
+  });
+
+  describe('listUncoveredFiles', () => {
+    it('should list only files with uncovered changed lines', () => {
+      expect(listUncoveredFiles(results)).toEqual(['src/b.js']);
+    });
+  });
+});
@@ -0,0 +1,66 @@
+const {
+  buildReviewComments,
+  getCommentKey,
+  planReviewCommentSync
+} = require('../review-comments');
+
+describe('review-comments', () => {
+  describe('buildReviewComments', () => {
+    it('should build single and multi-line comments for uncovered ranges', () => {
+      const comments = buildReviewComments({
+        'src/a.js': { uncoveredLines: [4, 10, 11, 12] }
+      });
+
+      expect(comments).toHaveLength(2);
+      expect(comments[0]).toMatchObject({ key: 'src/a.js:4-4', path: 'src/a.js', line: 4, side: 'RIGHT' });
+      expect(comments[0]).not.toHaveProperty('start_line');
+      expect(comments[1]).toMatchObject({
+        key: 'src/a.js:10-12',
+        path: 'src/a.js',
+        start_line: 10,
+        start_side: 'RIGHT',
+        line: 12,
+        side: 'RIGHT'
+      });
+      expect(comments[1].body).toContain('Lines 10-12 were changed');
+      expect(getCommentKey(comments[1].body)).toBe('src/a.js:10-12');
+    });
+  });
+
+  describe('getCommentKey', () => {
+    it('should return null for comments not posted by the action', () => {
+      expect(getCommentKey('Looks good to me')).toBeNull();
+      expect(getCommentKey(undefined)).toBeNull();
+    });
+  });
+
+  describe('planReviewCommentSync', () => {
+    const desired = buildReviewComments({
+      'src/a.js': { uncoveredLines: [4, 20] }
+    });
+
+    it('should keep still-uncovered comments, remove covered ones and post new ones', () => {
+      const existing = [
+        { id: 1, body: desired[0].body },
+        { id: 2, body: '<!-- jest-pr-diff-coverage:uncovered src/a.js:7-8 -->\nold' },
+        { id: 3, body: 'A human review comment' }
+      ];
+
+      const { toCreate, toDelete } = planReviewCommentSync(existing, desired);
+
+      expect(toCreate.map(comment => comment.key)).toEqual(['src/a.js:20-20']);
+      expect(toDelete.map(comment => comment.id)).toEqual([2]);
+    });
+
+    it('should remove duplicate comments for the same range', () => {
+      const existing = [
+        { id: 1, body: desired[0].body },
+        { id: 2, body: desired[0].body }
+      ];
+
+      const { toDelete } = planReviewCommentSync(existing, desired);
+
+      expect(toDelete.map(comment => comment.id)).toEqual([2]);
+    });
+  });
+});
@@ -0,0 +1,96 @@
+const { SARIF_RULES, buildSarifLog } = require('../sarif');
+
+describe('sarif', () => {
+  const results = {
+    fileResults: {
+      'src/a.js': { uncoveredLines: [3, 4, 5, 9], uncoveredBranchLines: [12] },
+      'src/b.js': { uncoveredLines: [], uncoveredBranchLines: [] }
+    },
+    uncoveredFunctions: [{ file: 'src/a.js', name: 'helper', line: 20 }],
+    ruleChecks: {}
+  };
+
+  describe('buildSarifLog', () => {
+    it('should declare one rule per threshold type', () => {
+      const log = buildSarifLog(results);
+
+      expect(log.version).toBe('2.1.0');
+      expect(log.runs[0].tool.driver.name).toBe('jest-pr-diff-codecoverage');
+      expect(log.runs[0].tool.driver.rules.map(rule => rule.id)).toEqual([
+        'diff-coverage/uncovered-lines',
+        'diff-coverage/uncovered-branches',
+        'diff-coverage/uncalled-functions',
+        'diff-coverage/indirect-coverage-loss'
+      ]);
+    });
+
+    it('should report one result per uncovered range, branch range and function', () => {
+      const log = buildSarifLog(results);
+
+      expect(log.runs[0].results.map(({ ruleId, message, locations }) => ({
+        ruleId,
+        text: message.text,
+        uri: locations[0].physicalLocation.artifactLocation.uri,
+        region: locations[0].physicalLocation.region
+      }))).toEqual([
+        {
+          ruleId: SARIF_RULES.lines.id,
+          text: 'Changed lines 3-5 are not covered by tests.',
+          uri: 'src/a.js',
+          region: { startLine: 3, endLine: 5 }
+        },
+        {
+          ruleId: SARIF_RULES.lines.id,
+          text: 'Changed line 9 is not covered by tests.',
+          uri: 'src/a.js',
+          region: { startLine: 9, endLine: 9 }
+        },
+        {
+          ruleId: SARIF_RULES.branches.id,
+          text: 'Branches on changed line 12 are not all taken by tests.',
+          uri: 'src/a.js',
+          region: { startLine: 12, endLine: 12 }
+        },
+        {
+          ruleId: SARIF_RULES.functions.id,
+          text: 'Function helper is never called by tests.',
+          uri: 'src/a.js',
+          region: { startLine: 20, endLine: 20 }
+        }
+      ]);
+      expect(log.runs[0].results[2].ruleIndex).toBe(1);
+    });
+
+    it('should report indirect coverage loss when computed', () => {
+      const log = buildSarifLog({
+        ...results,
+        fileResults: {},
+        uncoveredFunctions: [],
+        indirectCoverage: { files: [{ file: 'src/c.js', lines: [7, 8] }] }
+      });
+
+      expect(log.runs[0].results).toHaveLength(1);
+      expect(log.runs[0].results[0]).toMatchObject({
+        ruleId: SARIF_RULES.indirect.id,
+        message: { text: 'Unchanged lines 7-8 are no longer covered by tests.' }
+      });
+    });
+
+    it('should make results errors only where a threshold of their type failed', () => {
+      const log = buildSarifLog(
+        { ...results, ruleChecks: { 'src/a.js': { rule: 'src/**' } } },
+        [
+          { metric: 'lines', label: 'changed lines in src/a.js', actual: 40, required: 80, file: 'src/a.js', rule: 'src/**' },
+          { metric: 'branches', label: 'branches on changed lines outside path rules', actual: 0, required: 50 }
+        ]
+      );
+
+      expect(log.runs[0].results.map(result => `${result.ruleId}:${result.level}`)).toEqual([
+        'diff-coverage/uncovered-lines:error',
+        'diff-coverage/uncovered-lines:error',
+        'diff-coverage/uncovered-branches:warning',
+        'diff-coverage/uncalled-functions:warning'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,109 @@
+const fs = require('fs');
+const { loadSourceMap, remapCoverage } = require('../source-maps');
+
+jest.mock('fs');
+jest.mock('@actions/glob', () => ({ create: jest.fn() }));
+
+describe('source maps', () => {
+  // dist/a.js line 1 -> src/a.ts line 1, line 2 -> lines 2 and 3, line 3 -> line 4
+  const sourceMap = {
+    version: 3,
+    file: 'a.js',
+    sources: ['../src/a.ts'],
+    names: [],
+    mappings: 'AAAA;AACA,IACA;AACA'
+  };
+
+  let files;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    files = {};
+    fs.existsSync.mockImplementation(filePath => filePath in files);
+    fs.readFileSync.mockImplementation(filePath => files[filePath]);
+  });
+
+  describe('loadSourceMap', () => {
+    it('should follow the sourceMappingURL comment', () => {
+      files['/repo/dist/a.js'] = 'code();\n//# sourceMappingURL=maps/a.js.map\n';
+      files['/repo/dist/maps/a.js.map'] = JSON.stringify(sourceMap);
+
+      expect(loadSourceMap('/repo/dist/a.js')).toEqual({ map: sourceMap, mapPath: '/repo/dist/maps/a.js.map' });
+    });
+
+    it('should decode inline base64 source maps', () => {
+      const inline = Buffer.from(JSON.stringify(sourceMap)).toString('base64');
+      files['/repo/dist/a.js'] = `code();\n//# sourceMappingURL=data:application/json;charset=utf-8;base64,${inline}\n`;
+
+      expect(loadSourceMap('/repo/dist/a.js')).toEqual({ map: sourceMap, mapPath: '/repo/dist/a.js' });
+    });
+
+    it('should fall back to a .map file next to the generated file', () => {
+      files['/repo/dist/a.js'] = 'code();\n';
+      files['/repo/dist/a.js.map'] = JSON.stringify(sourceMap);
+
+      expect(loadSourceMap('/repo/dist/a.js').mapPath).toBe('/repo/dist/a.js.map');
+    });
+
+    it('should return null when there is no source map', () => {
+      files['/repo/dist/a.js'] = 'code();\n';
+
+      expect(loadSourceMap('/repo/dist/a.js')).toBeNull();
+    });
+  });
+
+  describe('remapCoverage', () => {
+    it('should move line, branch and function coverage to the original source', () => {
+      files['/repo/dist/a.js'] = 'code();\n//# sourceMappingURL=a.js.map\n';
+      files['/repo/dist/a.js.map'] = JSON.stringify(sourceMap);
+
+      const { coverageData, remappedFiles } = remapCoverage([
+        {
+          file: 'dist/a.js',
+          lines: { details: [{ line: 1, hit: 1 }, { line: 2, hit: 0 }, { line: 3, hit: 5 }] },
+          branches: { details: [{ line: 3, block: 0, branch: 0, taken: 5 }] },
+          functions: { details: [{ name: 'f', line: 2, endLine: 3, hit: 0 }] }
+        }
+      ], { cwd: '/repo' });
+
+      expect(remappedFiles).toEqual(['dist/a.js']);
+      expect(coverageData).toEqual([
+        {
+          file: 'src/a.ts',
+          lines: { details: [{ line: 1, hit: 1 }, { line: 2, hit: 0 }, { line: 3, hit: 0 }, { line: 4, hit: 5 }] },
+          branches: { details: [{ line: 4, block: 0, branch: 0, taken: 5 }] },
+          functions: { details: [{ name: 'f', line: 2, endLine: 4, hit: 0 }] }
+        }
+      ]);
+    });
+
+    it('should drop bundler namespaces from source paths', () => {
+      files['/repo/dist/a.js'] = 'code();\n';
+      files['/repo/dist/a.js.map'] = JSON.stringify({ ...sourceMap, sources: ['webpack://app/./src/a.ts'] });
+
+      const { coverageData } = remapCoverage([
+        { file: 'dist/a.js', lines: { details: [{ line: 1, hit: 1 }] } }
+      ], { cwd: '/repo' });
+
+      expect(coverageData.map(file => file.file)).toEqual(['src/a.ts']);
+    });
+
+    it('should keep files without a source map unchanged', () => {
+      files['/repo/src/b.js'] = 'code();\n';
+
+      const { coverageData, remappedFiles } = remapCoverage([
+        { file: 'src/b.js', lines: { details: [{ line: 1, hit: 2 }] } }
+      ], { cwd: '/repo' });
+
+      expect(remappedFiles).toEqual([]);
+      expect(coverageData).toEqual([
+        {
+          file: 'src/b.js',
+          lines: { details: [{ line: 1, hit: 2 }] },
+          branches: { details: [] },
+          functions: { details: [] }
+        }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,167 @@
+const {
+  checkIndirectCoverage,
+  checkThresholds,
+  describeFailure,
+  evaluateThresholds,
+  findRule,
+  parseThreshold
+} = require('../thresholds');
+
+describe('thresholds', () => {
+  describe('parseThreshold', () => {
+    it('should treat empty values as not enforced', () => {
+      expect(parseThreshold('')).toBeNull();
+      expect(parseThreshold(undefined)).toBeNull();
+    });
+
+    it('should parse numeric values', () => {
+      expect(parseThreshold('75.5')).toBe(75.5);
+    });
+
+    it('should reject non-numeric values', () => {
+      expect(() => parseThreshold('high')).toThrow('Invalid coverage threshold: high');
+    });
+  });
+
+  describe('checkThresholds', () => {
+    const results = {
+      coverage: 90,
+      branchCoverage: 50,
+      functionCoverage: 100
+    };
+
+    it('should return no failures when every configured threshold is met', () => {
+      expect(checkThresholds(results, { lines: 80, branches: null, functions: 100 })).toEqual([]);
+    });
+
+    it('should return one failure per metric below its threshold', () => {
+      expect(checkThresholds(results, { lines: 95, branches: 60, functions: null })).toEqual([
+        { metric: 'lines', label: 'changed lines', actual: 90, required: 95 },
+        { metric: 'branches', label: 'branches on changed lines', actual: 50, required: 60 }
+      ]);
+    });
+  });
+
+  describe('findRule', () => {
+    const rules = [
+      { path: 'src/payments/**', lines: 95 },
+      { path: 'src/**', lines: 70 }
+    ];
+
+    it('should return the first matching rule', () => {
+      expect(findRule('src/payments/charge.js', rules).path).toBe('src/payments/**');
+      expect(findRule('src/app.js', rules).path).toBe('src/**');
+    });
+
+    it('should return null when no rule matches', () => {
+      expect(findRule('scripts/build.js', rules)).toBeNull();
+    });
+  });
+
+  describe('evaluateThresholds', () => {
+    const thresholds = { lines: 80, branches: null, functions: null };
+    const fileResult = (coveredLines, totalLines) => ({
+      totalLines,
+      coveredLines,
+      coverage: (coveredLines / totalLines) * 100,
+      totalBranches: 0,
+      coveredBranches: 0,
+      branchCoverage: 100,
+      totalFunctions: 0,
+      coveredFunctions: 0,
+      functionCoverage: 100
+    });
+
+    it('should check overall results against the global thresholds without rules', () => {
+      const results = { coverage: 50, fileResults: { 'src/a.js': fileResult(1, 2) } };
+
+      const { failures, fileChecks } = evaluateThresholds(results, thresholds);
+
+      expect(failures).toEqual([
+        { metric: 'lines', label: 'changed lines', actual: 50, required: 80 }
+      ]);
+      expect(fileChecks).toEqual({});
+    });
+
+    it('should check rule-matched files individually and the rest against global thresholds', () => {
+      const results = {
+        coverage: 70,
+        fileResults: {
+          'src/payments/charge.js': fileResult(9, 10),
+          'scripts/build.js': fileResult(1, 2),
+          'src/app.js': fileResult(8, 8)
+        }
+      };
+      const rules = [
+        { path: 'src/payments/**', lines: 95, branches: null, functions: null },
+        { path: 'scripts/**', lines: 50, branches: null, functions: null }
+      ];
+
+      const { failures, fileChecks } = evaluateThresholds(results, thresholds, rules);
+
+      expect(failures).toEqual([
+        {
+          metric: 'lines',
+          label: 'changed lines in src/payments/charge.js',
+          actual: 90,
+          required: 95,
+          file: 'src/payments/charge.js',
+          rule: 'src/payments/**'
+        }
+      ]);
+      expect(fileChecks['scripts/build.js']).toEqual({
+        rule: 'scripts/**',
+        thresholds: { lines: 50, branches: null, functions: null },
+        failures: []
+      });
+      expect(fileChecks['src/app.js']).toBeUndefined();
+    });
+
+    it('should label global failures as applying outside path rules', () => {
+      const results = {
+        coverage: 50,
+        fileResults: {
+          'src/app.js': fileResult(1, 2),
+          'scripts/build.js': fileResult(2, 2)
+        }
+      };
+      const rules = [{ path: 'scripts/**', lines: 50, branches: null, functions: null }];
+
+      const { failures } = evaluateThresholds(results, thresholds, rules);
+
+      expect(failures).toEqual([
+        { metric: 'lines', label: 'changed lines outside path rules', actual: 50, required: 80 }
+      ]);
+    });
+  });
+
+  describe('checkIndirectCoverage', () => {
+    it('should fail when too few previously covered lines are still covered', () => {
+      expect(checkIndirectCoverage({ coverage: 95 }, 100)).toEqual([
+        { metric: 'indirect', label: 'previously covered lines outside the diff', actual: 95, required: 100 }
+      ]);
+      expect(checkIndirectCoverage({ coverage: 100 }, 100)).toEqual([]);
+    });
+
+    it('should not check without a threshold or base coverage', () => {
+      expect(checkIndirectCoverage({ coverage: 0 }, null)).toEqual([]);
+      expect(checkIndirectCoverage(undefined, 100)).toEqual([]);
+    });
+  });
+
+  describe('describeFailure', () => {
+    it('should describe global and rule failures', () => {
+      expect(describeFailure({ label: 'changed lines', actual: 50, required: 80 })).toBe(
+        'coverage of changed lines (50.00%) is below the required threshold (80%)'
+      );
+      expect(describeFailure({
+        label: 'changed lines in src/payments/charge.js',
+        actual: 90,
+        required: 95,
+        rule: 'src/payments/**'
+      })).toBe(
+        'coverage of changed lines in src/payments/charge.js (90.00%) is below the required threshold (95%) of rule `src/payments/**`'
+      );
+    });
+  });
+});
@@ -0,0 +1,41 @@
+const fs = require('fs');
+const { escapeXml, roundPercentage, writeJsonFile, writeOutputFile } = require('../utils');
+
+jest.mock('fs');
+
+describe('utils', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('escapeXml', () => {
+    it('should escape markup and quotes', () => {
+      expect(escapeXml('a < b & "c" > d')).toBe('a &lt; b &amp; &quot;c&quot; &gt; d');
+    });
+  });
+
+  describe('roundPercentage', () => {
+    it('should round to two decimals', () => {
+      expect(roundPercentage(66.6666)).toBe(66.67);
+      expect(roundPercentage(100)).toBe(100);
+    });
+  });
+
+  describe('writeOutputFile', () => {
+    it('should create the directory and write the content', () => {
+      writeOutputFile('reports/out.xml', '<x/>');
+
+      expect(fs.mkdirSync).toHaveBeenCalledWith('reports', { recursive: true });
+      expect(fs.writeFileSync).toHaveBeenCalledWith('reports/out.xml', '<x/>');
+    });
+  });
+
+  describe('writeJsonFile', () => {
+    it('should write indented JSON with a trailing newline', () => {
+      writeJsonFile('out.json', { a: 1 });
+
+      expect(fs.mkdirSync).toHaveBeenCalledWith('.', { recursive: true });
+      expect(fs.writeFileSync).toHaveBeenCalledWith('out.json', '{\n  "a": 1\n}\n');
+    });
+  });
+});
@@ -0,0 +1,86 @@
+const { convertV8Functions, offsetToLine } = require('../v8-coverage');
+
+describe('offsetToLine', () => {
+  it('should map character offsets to 1-based line numbers', () => {
+    const lineStarts = [0, 10, 25];
+
+    expect(offsetToLine(lineStarts, 0)).toBe(1);
+    expect(offsetToLine(lineStarts, 9)).toBe(1);
+    expect(offsetToLine(lineStarts, 10)).toBe(2);
+    expect(offsetToLine(lineStarts, 30)).toBe(3);
+  });
+});
+
+describe('convertV8Functions', () => {
+  const source = [
+    '// header',
+    'function check(x) {',
+    '  if (x) {',
+    '    return 1;',
+    '  }',
+    '  return 2;',
+    '}',
+    '',
+    'check(false);'
+  ].join('\n');
+
+  const functionStart = source.indexOf('function check');
+  const functionEnd = source.indexOf('}\n\ncheck') + 1;
+  const blockStart = source.indexOf('{\n    return 1');
+  const blockEnd = source.indexOf('}\n  return 2') + 1;
+
+  const functions = [
+    { functionName: '', isBlockCoverage: true, ranges: [{ startOffset: 0, endOffset: source.length, count: 1 }] },
+    {
+      functionName: 'check',
+      isBlockCoverage: true,
+      ranges: [
+        { startOffset: functionStart, endOffset: functionEnd, count: 1 },
+        { startOffset: blockStart, endOffset: blockEnd, count: 0 }
+      ]
+    }
+  ];
+
+  it('should give each line the count of the innermost range containing it', () => {
+    const result = convertV8Functions(source, functions);
+
+    expect(result.lines.details).toEqual([
+      { line: 2, hit: 1 },
+      { line: 3, hit: 1 },
+      { line: 4, hit: 0 },
+      { line: 5, hit: 0 },
+      { line: 6, hit: 1 },
+      { line: 7, hit: 1 },
+      { line: 9, hit: 1 }
+    ]);
+  });
+
+  it('should report block ranges as branches and skip the script function', () => {
+    const result = convertV8Functions(source, functions);
+
+    expect(result.branches.details).toEqual([{ line: 3, block: `${blockStart}-${blockEnd}`, branch: 0, taken: 0 }]);
+    expect(result.functions.details).toEqual([{ name: 'check', line: 2, endLine: 7, hit: 1 }]);
+  });
+
+  it('should identify blocks by their offsets regardless of the other functions reported', () => {
+    const other = {
+      functionName: 'other',
+      isBlockCoverage: true,
+      ranges: [
+        { startOffset: 0, endOffset: functionStart, count: 1 },
+        { startOffset: 0, endOffset: 1, count: 1 }
+      ]
+    };
+
+    const alone = convertV8Functions(source, [functions[1]]).branches.details;
+    const withOther = convertV8Functions(source, [other, functions[1]]).branches.details;
+
+    expect(withOther.find(detail => detail.line === 3)).toEqual(alone[0]);
+  });
+
+  it('should treat lines outside every range as non-executable', () => {
+    const result = convertV8Functions(source, [functions[1]]);
+
+    expect(result.lines.details.map(detail => detail.line)).toEqual([2, 3, 4, 5, 6, 7]);
+  });
+});
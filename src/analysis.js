@@ -0,0 +1,105 @@
+const CoverageParser = require('./coverage-parser');
+const { calculateChangedLinesCoverage, formatLineRanges } = require('./changed-lines-coverage');
+const { compareCoverage } = require('./coverage-delta');
+const { filterChangedLines, isIncluded } = require('./file-filter');
+const { applyIgnorePragmas } = require('./ignore-pragmas');
+const { findIndirectCoverageLoss } = require('./indirect-coverage');
+const { mapCoveragePaths, rewriteCoveragePaths } = require('./path-mapping');
+const { remapCoverage } = require('./source-maps');
+const { checkIndirectCoverage, evaluateThresholds } = require('./thresholds');
+
+/**
+ * Parse and merge coverage files, then rewrite their path prefixes and, when
+ * enabled, map built files back to their sources. Path rewrites come first,
+ * so source maps are found at repository paths.
+ */
+async function loadCoverage(coverageFilePaths, { coverageFormat = 'auto', pathRewrites = [], sourceMaps = false } = {}) {
+  const coverageData = rewriteCoveragePaths(await CoverageParser.parseAll(coverageFilePaths, coverageFormat), pathRewrites);
+  return sourceMaps ? remapCoverage(coverageData) : { coverageData, remappedFiles: [] };
+}
+
+/**
+ * Measure the coverage of changed lines and check it against the thresholds.
+ *
+ * Drops files outside the include/exclude filters and lines excluded by
+ * ignore pragmas, lines coverage paths up with the changed files and
+ * evaluates the global thresholds and path rules. With base coverage the
+ * project coverage is compared, and with the PR's change blocks indirect
+ * coverage loss is found too. Progress is reported through `log`, which has
+ * the `info`, `warning` and `debug` functions of `@actions/core`.
+ */
+function analyzeCoverage({
+  coverageData,
+  baseCoverageData = null,
+  changedLines: allChangedLines,
+  fileFilters = { include: [], exclude: [] },
+  thresholds,
+  rules = [],
+  changeBlocks = null,
+  unknownChangeFiles = [],
+  log
+}) {
+  // Drop files outside the include/exclude filters before any coverage is counted
+  const { changedLines: filteredChangedLines, excludedFiles } = filterChangedLines(allChangedLines, fileFilters);
+  if (excludedFiles.length > 0) {
+    log.info(`Files left out by include/exclude filters: ${excludedFiles.length}`);
+    for (const file of excludedFiles) {
+      log.debug(`  - ${file}`);
+    }
+  }
+
+  // Remove lines excluded with diff-coverage-ignore pragmas in the source
+  const { changedLines, ignoredLines, unterminatedBlocks } = applyIgnorePragmas(filteredChangedLines);
+  for (const { file, line } of unterminatedBlocks) {
+    log.warning(`diff-coverage-ignore-start in ${file}:${line} has no matching diff-coverage-ignore-end and was not applied`);
+  }
+  if (ignoredLines.length > 0) {
+    log.info(`Changed lines ignored by pragmas: ${ignoredLines.reduce((sum, { lines }) => sum + lines.length, 0)}`);
+    for (const { file, lines } of ignoredLines) {
+      log.info(`  - ${file}: ${formatLineRanges(lines)}`);
+    }
+  }
+
+  // Line remaining coverage paths up with the changed files by suffix
+  const mappedCoverage = mapCoveragePaths(coverageData, Object.keys(changedLines));
+  const mappedBaseCoverageData = baseCoverageData
+    ? mapCoveragePaths(baseCoverageData, Object.keys(changedLines)).coverageData
+    : null;
+  if (mappedCoverage.unmatchedPaths.length > 0) {
+    log.debug(`Coverage paths not matching any changed file: ${mappedCoverage.unmatchedPaths.length}`);
+    for (const file of mappedCoverage.unmatchedPaths) {
+      log.debug(`  - ${file}`);
+    }
+  }
+
+  log.info('Calculating coverage for changed lines...');
+  const results = calculateChangedLinesCoverage(mappedCoverage.coverageData, changedLines);
+  results.excludedFiles = excludedFiles;
+  results.ignoredLines = ignoredLines;
+  if (mappedBaseCoverageData) {
+    results.baseComparison = compareCoverage(mappedBaseCoverageData, mappedCoverage.coverageData);
+    if (changeBlocks) {
+      results.indirectCoverage = findIndirectCoverageLoss(
+        mappedBaseCoverageData,
+        mappedCoverage.coverageData,
+        changeBlocks,
+        file => isIncluded(file, fileFilters),
+        unknownChangeFiles
+      );
+    }
+  }
+
+  const { failures: thresholdFailures, fileChecks } = evaluateThresholds(results, thresholds, rules);
+  thresholdFailures.push(...checkIndirectCoverage(results.indirectCoverage, thresholds.indirect));
+  results.ruleChecks = fileChecks;
+
+  return {
+    results,
+    thresholdFailures,
+    changedLines,
+    coverageData: mappedCoverage.coverageData,
+    baseCoverageData: mappedBaseCoverageData
+  };
+}
+
+module.exports = { analyzeCoverage, loadCoverage };
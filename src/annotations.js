@@ -0,0 +1,61 @@
+const { toLineRanges } = require('./changed-lines-coverage');
+
+// The checks API accepts at most 50 annotations per create/update request
+const MAX_ANNOTATIONS_PER_REQUEST = 50;
+
+// Check run output summaries are limited to 65535 characters
+const MAX_SUMMARY_LENGTH = 65535;
+
+/**
+ * Build one check run annotation per contiguous range of uncovered changed lines.
+ */
+function buildUncoveredAnnotations(fileResults) {
+  const annotations = [];
+
+  for (const [file, result] of Object.entries(fileResults)) {
+    for (const { start, end } of toLineRanges(result.uncoveredLines || [])) {
+      annotations.push({
+        path: file,
+        start_line: start,
+        end_line: end,
+        annotation_level: 'warning',
+        title: 'Uncovered changed code',
+        message: start === end
+          ? `Changed line ${start} is not covered by tests.`
+          : `Changed lines ${start}-${end} are not covered by tests.`
+      });
+    }
+  }
+
+  return annotations;
+}
+
+/**
+ * Split annotations into batches the checks API accepts in one request.
+ */
+function batchAnnotations(annotations, size = MAX_ANNOTATIONS_PER_REQUEST) {
+  const batches = [];
+  for (let i = 0; i < annotations.length; i += size) {
+    batches.push(annotations.slice(i, i + size));
+  }
+  return batches;
+}
+
+/**
+ * Trim a markdown summary to the check run output limit.
+ */
+function truncateSummary(summary, maxLength = MAX_SUMMARY_LENGTH) {
+  if (summary.length <= maxLength) {
+    return summary;
+  }
+
+  const notice = '\n\n_Summary truncated. See the PR comment or HTML report for the full details._';
+  return summary.slice(0, maxLength - notice.length) + notice;
+}
+
+module.exports = {
+  MAX_ANNOTATIONS_PER_REQUEST,
+  batchAnnotations,
+  buildUncoveredAnnotations,
+  truncateSummary
+};
@@ -0,0 +1,85 @@
+const { escapeXml } = require('./utils');
+
+const BADGE_COLORS = {
+  pass: '#4c1',
+  warn: '#dfb317',
+  fail: '#e05d44',
+  none: '#9f9f9f'
+};
+
+// How far below the threshold a badge turns from yellow to red
+const WARN_MARGIN = 10;
+
+/**
+ * Approximate rendered width of badge text in 11px Verdana.
+ */
+function textWidth(text) {
+  return Math.round(text.length * 6.5 + 10);
+}
+
+/**
+ * Badge color for a coverage percentage: green at or above the threshold,
+ * yellow just below it and red further below.
+ */
+function badgeColor(coverage, threshold) {
+  if (threshold === null || threshold === undefined || Number.isNaN(threshold)) {
+    return BADGE_COLORS.none;
+  }
+  if (coverage >= threshold) {
+    return BADGE_COLORS.pass;
+  }
+  return coverage >= threshold - WARN_MARGIN ? BADGE_COLORS.warn : BADGE_COLORS.fail;
+}
+
+/**
+ * Render a flat, shields.io-style badge as SVG.
+ */
+function renderBadge(label, message, color) {
+  const labelWidth = textWidth(label);
+  const messageWidth = textWidth(message);
+  const width = labelWidth + messageWidth;
+  const safeLabel = escapeXml(label);
+  const safeMessage = escapeXml(message);
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20" role="img" aria-label="${safeLabel}: ${safeMessage}">
+  <title>${safeLabel}: ${safeMessage}</title>
+  <linearGradient id="s" x2="0" y2="100%">
+    <stop offset="0" stop-color="#bbb" stop-opacity=".1"/>
+    <stop offset="1" stop-opacity=".1"/>
+  </linearGradient>
+  <clipPath id="r">
+    <rect width="${width}" height="20" rx="3" fill="#fff"/>
+  </clipPath>
+  <g clip-path="url(#r)">
+    <rect width="${labelWidth}" height="20" fill="#555"/>
+    <rect x="${labelWidth}" width="${messageWidth}" height="20" fill="${color}"/>
+    <rect width="${width}" height="20" fill="url(#s)"/>
+  </g>
+  <g fill="#fff" text-anchor="middle" font-family="Verdana,Geneva,DejaVu Sans,sans-serif" font-size="11">
+    <text x="${labelWidth / 2}" y="15" fill="#010101" fill-opacity=".3">${safeLabel}</text>
+    <text x="${labelWidth / 2}" y="14">${safeLabel}</text>
+    <text x="${labelWidth + messageWidth / 2}" y="15" fill="#010101" fill-opacity=".3">${safeMessage}</text>
+    <text x="${labelWidth + messageWidth / 2}" y="14">${safeMessage}</text>
+  </g>
+</svg>
+`;
+}
+
+/**
+ * Build the diff coverage and total coverage badges, colored against the
+ * line coverage threshold.
+ */
+function buildCoverageBadges({ diffCoverage, totalCoverage, threshold }) {
+  return [
+    {
+      fileName: 'diff-coverage.svg',
+      svg: renderBadge('diff coverage', `${diffCoverage.toFixed(2)}%`, badgeColor(diffCoverage, threshold))
+    },
+    {
+      fileName: 'total-coverage.svg',
+      svg: renderBadge('coverage', `${totalCoverage.toFixed(2)}%`, badgeColor(totalCoverage, threshold))
+    }
+  ];
+}
+
+module.exports = { BADGE_COLORS, badgeColor, buildCoverageBadges, renderBadge };
@@ -5,15 +5,72 @@ function normalizePath(filePath) {
   return filePath.replace(/^\.\//, '').replace(/\\/g, '/');
 }
 
+/**
+ * Group line numbers into contiguous ranges, e.g. [1, 2, 3, 7] -> [{1-3}, {7-7}].
+ */
+function toLineRanges(lines) {
+  const sorted = Array.from(lines).sort((a, b) => a - b);
+  const ranges = [];
+
+  for (const line of sorted) {
+    const last = ranges[ranges.length - 1];
+    if (last && line === last.end + 1) {
+      last.end = line;
+    } else if (!last || line > last.end) {
+      ranges.push({ start: line, end: line });
+    }
+  }
+
+  return ranges;
+}
+
+/**
+ * Format line numbers as compact ranges, e.g. [1, 2, 3, 7] -> "1-3, 7".
+ */
+function formatLineRanges(lines) {
+  return toLineRanges(lines)
+    .map(({ start, end }) => (start === end ? `${start}` : `${start}-${end}`))
+    .join(', ');
+}
+
+/**
+ * Percentage helper that treats "nothing to cover" as fully covered.
+ */
+function percentage(covered, total) {
+  return total > 0 ? (covered / total) * 100 : 100;
+}
+
+/**
+ * Whether a function was declared or edited in the diff. Formats that only
+ * record the declaration line (lcov FN, Cobertura, Clover) give no extent,
+ * so such a function only counts when its declaration line changed.
+ */
+function isFunctionTouched(fn, changedLinesInFile) {
+  const endLine = fn.endLine || fn.line;
+  for (let line = fn.line; line <= endLine; line++) {
+    if (changedLinesInFile.has(line)) {
+      return true;
+    }
+  }
+  return false;
+}
+
 /**
  * Calculate PR diff coverage from parsed coverage data and changed line sets.
  *
  * Only counts changed PR lines that appear in the coverage file with line hit data.
  * Changed lines without coverage data are listed separately and do not affect the percentage.
+ * Branches (lcov BRDA / Istanbul branchMap) on changed lines are counted as a separate metric,
+ * as are functions (lcov FN/FNDA / Istanbul fnMap) declared or edited in the diff.
  */
 function calculateChangedLinesCoverage(coverageData, changedLines) {
   let totalChangedLines = 0;
   let coveredChangedLines = 0;
+  let totalChangedBranches = 0;
+  let coveredChangedBranches = 0;
+  let totalChangedFunctions = 0;
+  let coveredChangedFunctions = 0;
+  const uncoveredFunctions = [];
   const fileResults = {};
 
   const coverageFiles = new Set(
@@ -30,6 +87,7 @@ function calculateChangedLinesCoverage(coverageData, changedLines) {
 
     let fileCoveredLines = 0;
     let fileTotalLines = 0;
+    const fileUncoveredLines = [];
 
     if (file.lines && file.lines.details) {
       for (const lineInfo of file.lines.details) {
@@ -40,16 +98,68 @@ function calculateChangedLinesCoverage(coverageData, changedLines) {
           if (lineInfo.hit > 0) {
             fileCoveredLines++;
             coveredChangedLines++;
+          } else {
+            fileUncoveredLines.push(lineInfo.line);
+          }
+        }
+      }
+    }
+
+    let fileCoveredBranches = 0;
+    let fileTotalBranches = 0;
+    const fileUncoveredBranchLines = new Set();
+
+    if (file.branches && file.branches.details) {
+      for (const branchInfo of file.branches.details) {
+        if (changedLinesInFile.has(branchInfo.line)) {
+          fileTotalBranches++;
+
+          if (branchInfo.taken > 0) {
+            fileCoveredBranches++;
+          } else {
+            fileUncoveredBranchLines.add(branchInfo.line);
+          }
+        }
+      }
+    }
+
+    let fileCoveredFunctions = 0;
+    let fileTotalFunctions = 0;
+    const fileUncoveredFunctions = [];
+
+    if (file.functions && file.functions.details) {
+      for (const fn of file.functions.details) {
+        if (isFunctionTouched(fn, changedLinesInFile)) {
+          fileTotalFunctions++;
+
+          if (fn.hit > 0) {
+            fileCoveredFunctions++;
+          } else {
+            fileUncoveredFunctions.push({ file: normalizedPath, name: fn.name, line: fn.line });
           }
         }
       }
     }
 
     if (fileTotalLines > 0) {
+      totalChangedBranches += fileTotalBranches;
+      coveredChangedBranches += fileCoveredBranches;
+      totalChangedFunctions += fileTotalFunctions;
+      coveredChangedFunctions += fileCoveredFunctions;
+      uncoveredFunctions.push(...fileUncoveredFunctions);
+
       fileResults[normalizedPath] = {
         totalLines: fileTotalLines,
         coveredLines: fileCoveredLines,
-        coverage: (fileCoveredLines / fileTotalLines) * 100
+        coverage: (fileCoveredLines / fileTotalLines) * 100,
+        uncoveredLines: fileUncoveredLines.sort((a, b) => a - b),
+        totalBranches: fileTotalBranches,
+        coveredBranches: fileCoveredBranches,
+        branchCoverage: percentage(fileCoveredBranches, fileTotalBranches),
+        uncoveredBranchLines: Array.from(fileUncoveredBranchLines).sort((a, b) => a - b),
+        totalFunctions: fileTotalFunctions,
+        coveredFunctions: fileCoveredFunctions,
+        functionCoverage: percentage(fileCoveredFunctions, fileTotalFunctions)
       };
     }
   }
@@ -77,12 +187,19 @@ function calculateChangedLinesCoverage(coverageData, changedLines) {
     a.file.localeCompare(b.file)
   );
 
-  const overallCoverage = totalChangedLines > 0 ? (coveredChangedLines / totalChangedLines) * 100 : 100;
+  const overallCoverage = percentage(coveredChangedLines, totalChangedLines);
 
   return {
     totalLines: totalChangedLines,
     coveredLines: coveredChangedLines,
     coverage: overallCoverage,
+    totalBranches: totalChangedBranches,
+    coveredBranches: coveredChangedBranches,
+    branchCoverage: percentage(coveredChangedBranches, totalChangedBranches),
+    totalFunctions: totalChangedFunctions,
+    coveredFunctions: coveredChangedFunctions,
+    functionCoverage: percentage(coveredChangedFunctions, totalChangedFunctions),
+    uncoveredFunctions: uncoveredFunctions.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line),
     fileResults,
     missingFromCoverage,
     noTrackableLines,
@@ -90,4 +207,4 @@ function calculateChangedLinesCoverage(coverageData, changedLines) {
   };
 }
 
-module.exports = { calculateChangedLinesCoverage, normalizePath };
+module.exports = { calculateChangedLinesCoverage, formatLineRanges, normalizePath, toLineRanges };
@@ -0,0 +1,244 @@
+#!/usr/bin/env node
+
+const path = require('path');
+const { spawn } = require('child_process');
+const { parseArgs } = require('util');
+const CoverageParser = require('./coverage-parser');
+const HtmlReportGenerator = require('./html-report-generator');
+const { formatLineRanges } = require('./changed-lines-coverage');
+const { getGitChangedLines } = require('./git-diff');
+const { describeFailure, parseThreshold } = require('./thresholds');
+const { loadConfig } = require('./config');
+const { parsePatterns } = require('./file-filter');
+const { parsePathRewrites } = require('./path-mapping');
+const { analyzeCoverage, loadCoverage } = require('./analysis');
+
+const USAGE = `Usage: jest-pr-diff-codecoverage [options]
+
+Check test coverage of the lines changed since a base ref in the local repository.
+
+Options:
+  --base <ref>                    Base ref to diff against (default: origin/main)
+  --no-merge-base                 Diff against the base ref itself instead of its merge-base with HEAD
+  --coverage <paths>              Coverage file paths or globs, comma separated (default: coverage/lcov.info)
+  --coverage-format <format>      auto, lcov, json, cobertura, clover or v8 (default: auto)
+  --minimum-coverage <n>          Minimum coverage of changed lines (default: 80)
+  --minimum-branch-coverage <n>   Minimum coverage of branches on changed lines
+  --minimum-function-coverage <n> Minimum percentage of touched functions called by tests
+  --include <globs>               Only check files matching these globs, comma separated
+  --exclude <globs>               Skip files matching these globs, comma separated
+  --config <file>                 Config file with per-path thresholds (default: .diff-coverage.yml)
+  --path-rewrites <rules>         Coverage path prefix rewrites, "from => to", comma separated
+  --source-maps                   Remap coverage of built files through source maps
+  --html                          Write the HTML report to coverage-report/
+  --open                          Write the HTML report and open it in the browser
+  -h, --help                      Show this help
+
+Exits with 1 when a threshold is not met and 2 when the check could not run.`;
+
+// Only warnings are printed, so the results table stays readable
+const CLI_LOG = {
+  info() {},
+  debug() {},
+  warning: message => console.warn(`Warning: ${message}`)
+};
+
+/**
+ * Parse command-line arguments into check options.
+ */
+function parseCliArgs(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      base: { type: 'string', default: 'origin/main' },
+      'no-merge-base': { type: 'boolean', default: false },
+      coverage: { type: 'string', default: 'coverage/lcov.info' },
+      'coverage-format': { type: 'string', default: 'auto' },
+      'minimum-coverage': { type: 'string', default: '80' },
+      'minimum-branch-coverage': { type: 'string' },
+      'minimum-function-coverage': { type: 'string' },
+      include: { type: 'string' },
+      exclude: { type: 'string' },
+      config: { type: 'string', default: '.diff-coverage.yml' },
+      'path-rewrites': { type: 'string' },
+      'source-maps': { type: 'boolean', default: false },
+      html: { type: 'boolean', default: false },
+      open: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  return {
+    help: values.help,
+    baseRef: values.base,
+    mergeBase: !values['no-merge-base'],
+    coverage: values.coverage,
+    coverageFormat: values['coverage-format'],
+    thresholds: {
+      lines: parseThreshold(values['minimum-coverage']),
+      branches: parseThreshold(values['minimum-branch-coverage']),
+      functions: parseThreshold(values['minimum-function-coverage'])
+    },
+    fileFilters: {
+      include: parsePatterns(values.include),
+      exclude: parsePatterns(values.exclude)
+    },
+    configFile: values.config,
+    pathRewrites: parsePathRewrites(values['path-rewrites']),
+    sourceMaps: values['source-maps'],
+    html: values.html || values.open,
+    open: values.open
+  };
+}
+
+/**
+ * Format per-file results as a plain-text table for the terminal.
+ */
+function formatResultsTable(results) {
+  const rows = Object.entries(results.fileResults).map(([file, result]) => [
+    file,
+    `${result.coverage.toFixed(2)}%`,
+    `${result.coveredLines}/${result.totalLines}`,
+    result.totalBranches > 0 ? `${result.coveredBranches}/${result.totalBranches}` : '-',
+    result.uncoveredLines && result.uncoveredLines.length > 0 ? formatLineRanges(result.uncoveredLines) : '-'
+  ]);
+  const header = ['File', 'Coverage', 'Lines', 'Branches', 'Uncovered Lines'];
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+  const formatRow = row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+
+  return [
+    formatRow(header),
+    widths.map(width => '-'.repeat(width)).join('  '),
+    ...rows.map(formatRow)
+  ].join('\n');
+}
+
+/**
+ * Format the overall result and any threshold failures.
+ */
+function formatSummary(results, thresholdFailures) {
+  const lines = [
+    `Changed lines covered: ${results.coverage.toFixed(2)}% (${results.coveredLines}/${results.totalLines})`
+  ];
+  if (results.totalBranches > 0) {
+    lines.push(`Branches on changed lines: ${results.branchCoverage.toFixed(2)}% (${results.coveredBranches}/${results.totalBranches})`);
+  }
+  if (results.totalFunctions > 0) {
+    lines.push(`Touched functions called: ${results.functionCoverage.toFixed(2)}% (${results.coveredFunctions}/${results.totalFunctions})`);
+  }
+  for (const { file, name, line } of results.uncoveredFunctions) {
+    lines.push(`Uncalled function: ${name} (${file}:${line})`);
+  }
+
+  if (thresholdFailures.length === 0) {
+    lines.push('PASS: all coverage thresholds are met');
+  } else {
+    for (const failure of thresholdFailures) {
+      lines.push(`FAIL: ${describeFailure(failure)}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Open a file with the platform's default application.
+ */
+function openInBrowser(filePath) {
+  const [command, args] = process.platform === 'darwin'
+    ? ['open', [filePath]]
+    : process.platform === 'win32'
+      ? ['cmd', ['/c', 'start', '""', filePath]]
+      : ['xdg-open', [filePath]];
+
+  const child = spawn(command, args, { detached: true, stdio: 'ignore' });
+  child.on('error', () => console.warn(`Could not open ${filePath}`));
+  child.unref();
+}
+
+/**
+ * Run the diff coverage check against the local repository.
+ *
+ * Returns the process exit code: 0 when every threshold is met, 1 otherwise.
+ */
+async function runCli(options) {
+  const config = loadConfig(options.configFile);
+
+  const coverageFilePaths = await CoverageParser.findCoverageFiles(options.coverage);
+  const { coverageData: loadedCoverageData } = await loadCoverage(coverageFilePaths, {
+    coverageFormat: options.coverageFormat,
+    pathRewrites: options.pathRewrites,
+    sourceMaps: options.sourceMaps
+  });
+
+  const { results, thresholdFailures, changedLines, coverageData } = analyzeCoverage({
+    coverageData: loadedCoverageData,
+    changedLines: getGitChangedLines(options.baseRef, { mergeBase: options.mergeBase }),
+    fileFilters: options.fileFilters,
+    thresholds: options.thresholds,
+    rules: config.rules,
+    log: CLI_LOG
+  });
+
+  if (Object.keys(results.fileResults).length > 0) {
+    console.log(formatResultsTable(results));
+    console.log('');
+  } else {
+    console.log(`No changed lines with coverage data since ${options.baseRef}`);
+  }
+  console.log(formatSummary(results, thresholdFailures));
+
+  if (options.html) {
+    const htmlGenerator = new HtmlReportGenerator();
+    const report = await htmlGenerator.generateReport(
+      results,
+      changedLines,
+      null,
+      coverageData,
+      options.thresholds.lines,
+      coverageFilePaths,
+      options.thresholds.branches,
+      thresholdFailures
+    );
+    const reportPath = path.resolve(report.mainReport);
+    console.log(`HTML report: ${reportPath}`);
+    if (options.open) {
+      openInBrowser(reportPath);
+    }
+  }
+
+  return thresholdFailures.length === 0 ? 0 : 1;
+}
+
+/**
+ * CLI entry point
+ */
+async function main(argv = process.argv.slice(2)) {
+  let options;
+  try {
+    options = parseCliArgs(argv);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  try {
+    return await runCli(options);
+  } catch (error) {
+    console.error(`Diff coverage check failed: ${error.message}`);
+    return 2;
+  }
+}
+
+module.exports = { formatResultsTable, formatSummary, main, parseCliArgs, runCli };
+
+if (require.main === module) {
+  main().then(exitCode => {
+    process.exitCode = exitCode;
+  });
+}
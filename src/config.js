@@ -0,0 +1,56 @@
+const fs = require('fs');
+const yaml = require('js-yaml');
+
+const RULE_METRICS = ['lines', 'branches', 'functions'];
+
+/**
+ * Normalize one `thresholds` entry into a path rule.
+ *
+ * A number is shorthand for a line threshold; an object may set any of
+ * `lines`, `branches` and `functions`.
+ */
+function parseRule(pattern, value, configPath) {
+  const rule = { path: pattern, lines: null, branches: null, functions: null };
+  const values = typeof value === 'number' ? { lines: value } : value;
+
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    throw new Error(`Invalid threshold for "${pattern}" in ${configPath}: expected a number or an object`);
+  }
+
+  for (const [metric, threshold] of Object.entries(values)) {
+    if (!RULE_METRICS.includes(metric)) {
+      throw new Error(`Unknown threshold "${metric}" for "${pattern}" in ${configPath}`);
+    }
+    if (typeof threshold !== 'number' || threshold < 0 || threshold > 100) {
+      throw new Error(`Invalid ${metric} threshold for "${pattern}" in ${configPath}: expected a number from 0 to 100`);
+    }
+    rule[metric] = threshold;
+  }
+
+  return rule;
+}
+
+/**
+ * Load the repository config file (for example `.diff-coverage.yml`).
+ *
+ * A missing file is not an error and yields an empty config.
+ */
+function loadConfig(configPath) {
+  const config = { rules: [] };
+  if (!configPath || !fs.existsSync(configPath)) {
+    return config;
+  }
+
+  const raw = yaml.load(fs.readFileSync(configPath, 'utf8')) || {};
+  const thresholds = raw.thresholds || {};
+
+  if (typeof thresholds !== 'object' || Array.isArray(thresholds)) {
+    throw new Error(`Invalid thresholds in ${configPath}: expected a map of glob patterns to thresholds`);
+  }
+
+  config.rules = Object.entries(thresholds).map(([pattern, value]) => parseRule(pattern, value, configPath));
+
+  return config;
+}
+
+module.exports = { loadConfig };
@@ -0,0 +1,83 @@
+const { normalizePath } = require('./changed-lines-coverage');
+
+/**
+ * Project-wide and per-file line coverage of parsed coverage data.
+ */
+function summarizeCoverage(coverageData) {
+  const files = {};
+  let totalLines = 0;
+  let coveredLines = 0;
+
+  for (const fileData of coverageData) {
+    const details = (fileData.lines && fileData.lines.details) || [];
+    const covered = details.filter(detail => detail.hit > 0).length;
+
+    files[normalizePath(fileData.file)] = {
+      totalLines: details.length,
+      coveredLines: covered,
+      coverage: details.length > 0 ? (covered / details.length) * 100 : 100
+    };
+    totalLines += details.length;
+    coveredLines += covered;
+  }
+
+  return {
+    totalLines,
+    coveredLines,
+    coverage: totalLines > 0 ? (coveredLines / totalLines) * 100 : 100,
+    files
+  };
+}
+
+/**
+ * Whether a coverage change shows as a drop once rounded for display.
+ */
+function isDecrease(delta) {
+  return delta !== null && Number(delta.toFixed(2)) < 0;
+}
+
+/**
+ * Compare base-branch coverage with the coverage of this run.
+ *
+ * Returns project totals before and after, a per-file comparison (`base` or
+ * `head` is null for files only present on one side) and the files whose
+ * total coverage went down.
+ */
+function compareCoverage(baseData, headData) {
+  const base = summarizeCoverage(baseData);
+  const head = summarizeCoverage(headData);
+  const files = {};
+
+  for (const file of new Set([...Object.keys(base.files), ...Object.keys(head.files)])) {
+    const baseFile = base.files[file] || null;
+    const headFile = head.files[file] || null;
+    files[file] = {
+      base: baseFile,
+      head: headFile,
+      delta: baseFile && headFile ? headFile.coverage - baseFile.coverage : null
+    };
+  }
+
+  return {
+    base: { totalLines: base.totalLines, coveredLines: base.coveredLines, coverage: base.coverage },
+    head: { totalLines: head.totalLines, coveredLines: head.coveredLines, coverage: head.coverage },
+    delta: head.coverage - base.coverage,
+    files,
+    decreasedFiles: Object.keys(files).filter(file => isDecrease(files[file].delta))
+  };
+}
+
+/**
+ * Format a coverage change for the report, e.g. "+1.25%" or "🔻 -0.50%".
+ */
+function formatDelta(delta) {
+  if (delta === null) {
+    return 'new';
+  }
+  if (isDecrease(delta)) {
+    return `🔻 ${delta.toFixed(2)}%`;
+  }
+  return Number(delta.toFixed(2)) > 0 ? `+${delta.toFixed(2)}%` : '0.00%';
+}
+
+module.exports = { compareCoverage, formatDelta, summarizeCoverage };
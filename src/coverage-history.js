@@ -0,0 +1,122 @@
+const fs = require('fs');
+const { summarizeCoverage } = require('./coverage-delta');
+const { roundPercentage } = require('./utils');
+
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+const TREND_WINDOW = 20;
+
+/**
+ * Parse the contents of a history file. Empty content is an empty history.
+ */
+function parseHistory(content, source = 'history file') {
+  if (!content || !content.trim()) {
+    return [];
+  }
+
+  const history = JSON.parse(content);
+  if (!Array.isArray(history)) {
+    throw new Error(`Invalid coverage history in ${source}: expected a JSON array of runs`);
+  }
+
+  return history;
+}
+
+/**
+ * Read a local history file; a missing file is an empty history.
+ */
+function readHistoryFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+  return parseHistory(fs.readFileSync(filePath, 'utf8'), filePath);
+}
+
+/**
+ * Summarize one run for the history: the commit, PR number, diff coverage,
+ * project-wide line coverage and the line coverage of every file.
+ */
+function buildHistoryRecord({ commit, pr = null, timestamp = new Date().toISOString(), results, coverageData }) {
+  const summary = summarizeCoverage(coverageData);
+  const files = {};
+  for (const [file, { coverage }] of Object.entries(summary.files)) {
+    files[file] = roundPercentage(coverage);
+  }
+
+  return {
+    commit,
+    pr,
+    timestamp,
+    diffCoverage: roundPercentage(results.coverage),
+    totalCoverage: roundPercentage(summary.coverage),
+    files
+  };
+}
+
+/**
+ * Add a run to the history, replacing an earlier run of the same commit and
+ * keeping only the most recent `limit` runs.
+ */
+function appendHistoryRecord(history, record, limit = 50) {
+  const updated = history.filter(entry => entry.commit !== record.commit);
+  updated.push(record);
+  return limit > 0 ? updated.slice(-limit) : updated;
+}
+
+/**
+ * Coverage values over the history, oldest first, for the repository and
+ * the given files. Runs that didn't include a file are left out of its trend.
+ *
+ * Diff coverage is only comparable between runs of the same change, so its
+ * trend only uses runs of the given PR (or, with no PR, runs outside PRs
+ * such as pushes to the base branch).
+ */
+function buildTrend(history, files = [], pr = null) {
+  const valuesFor = file => history
+    .map(entry => (entry.files ? entry.files[file] : undefined))
+    .filter(value => value !== undefined && value !== null);
+
+  const fileTrends = {};
+  for (const file of files) {
+    fileTrends[file] = valuesFor(file);
+  }
+
+  return {
+    runs: history.length,
+    diffCoverage: history
+      .filter(entry => (entry.pr === undefined ? null : entry.pr) === pr)
+      .map(entry => entry.diffCoverage),
+    totalCoverage: history.map(entry => entry.totalCoverage),
+    files: fileTrends
+  };
+}
+
+/**
+ * Render the most recent coverage values as a sparkline scaled to 0-100%,
+ * followed by the change across them, e.g. "▅▆▆█ +4.20%".
+ */
+function formatTrend(allValues) {
+  const values = allValues.slice(-TREND_WINDOW);
+  if (values.length === 0) {
+    return '—';
+  }
+
+  const sparkline = values
+    .map(value => SPARK_CHARS[Math.min(SPARK_CHARS.length - 1, Math.floor((value / 100) * SPARK_CHARS.length))])
+    .join('');
+  if (values.length === 1) {
+    return sparkline;
+  }
+
+  const change = values[values.length - 1] - values[0];
+  return `${sparkline} ${change > 0 ? '+' : ''}${change.toFixed(2)}%`;
+}
+
+module.exports = {
+  TREND_WINDOW,
+  appendHistoryRecord,
+  buildHistoryRecord,
+  buildTrend,
+  formatTrend,
+  parseHistory,
+  readHistoryFile
+};
@@ -1,5 +1,64 @@
 const fs = require('fs');
+const path = require('path');
+const { fileURLToPath } = require('url');
+const glob = require('@actions/glob');
 const lcovParse = require('lcov-parse');
+const { XMLParser } = require('fast-xml-parser');
+const { normalizePath } = require('./changed-lines-coverage');
+const { parsePatterns } = require('./file-filter');
+const { convertV8Functions } = require('./v8-coverage');
+
+/**
+ * Parse XML into plain objects. Attributes become properties without a
+ * prefix; the listed tags are always arrays, even with a single element.
+ */
+function parseXml(content, arrayTags) {
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '',
+    parseAttributeValue: false,
+    isArray: tagName => arrayTags.includes(tagName)
+  });
+  return parser.parse(content);
+}
+
+/**
+ * Read the covered/total counts from a Cobertura `condition-coverage`
+ * attribute, e.g. "50% (1/2)".
+ */
+function parseConditionCoverage(value) {
+  const match = value && value.match(/\((\d+)\/(\d+)\)/);
+  return match ? { covered: parseInt(match[1]), total: parseInt(match[2]) } : null;
+}
+
+/**
+ * Expand an aggregate "covered of total" branch count into branch details.
+ * XML formats only record how many outcomes were taken, not which ones, so
+ * the first `covered` branches are marked as taken.
+ */
+function expandBranchCounts(line, covered, total) {
+  const details = [];
+  for (let branch = 0; branch < total; branch++) {
+    details.push({ line, block: 0, branch, taken: branch < covered ? 1 : 0 });
+  }
+  return details;
+}
+
+/**
+ * Values accepted by the `coverage-format` input. `auto` detects the format
+ * from the file contents.
+ */
+const COVERAGE_FORMATS = ['auto', 'lcov', 'json', 'cobertura', 'clover', 'v8'];
+
+/**
+ * Whether parsed JSON is an istanbul `coverage-summary.json`, which only has
+ * per-file totals (`{ lines: { total, covered, pct }, ... }`).
+ */
+function isCoverageSummary(data) {
+  return Object.values(data).some(
+    entry => entry && entry.lines && typeof entry.lines.pct === 'number' && !entry.statementMap
+  );
+}
 
 /**
  * Utility class for parsing different coverage file formats
@@ -48,16 +107,34 @@ class CoverageParser {
         }
       }
 
-      // Also process branch coverage if available
+      // Keep branch outcomes separate so a partly hit branch doesn't count as a covered line
+      const branchDetails = [];
       if (data.b && data.branchMap) {
         for (const [branchId, branch] of Object.entries(data.branchMap)) {
-          const line = branch.line;
-          const branchHits = data.b[branchId];
-          const hasHits = branchHits && branchHits.some(h => h > 0);
-          
-          if (hasHits && (!lineData[line] || lineData[line] === 0)) {
-            lineData[line] = 1;
-          }
+          const line = branch.line || (branch.loc && branch.loc.start.line);
+          const branchHits = data.b[branchId] || [];
+
+          branchHits.forEach((taken, index) => {
+            branchDetails.push({
+              line,
+              block: parseInt(branchId),
+              branch: index,
+              taken: taken || 0
+            });
+          });
+        }
+      }
+
+      const functionDetails = [];
+      if (data.f && data.fnMap) {
+        for (const [functionId, fn] of Object.entries(data.fnMap)) {
+          const loc = fn.loc || fn.decl;
+          functionDetails.push({
+            name: fn.name,
+            line: fn.decl ? fn.decl.start.line : fn.line,
+            endLine: loc ? loc.end.line : undefined,
+            hit: data.f[functionId] || 0
+          });
         }
       }
 
@@ -68,6 +145,12 @@ class CoverageParser {
             line: parseInt(line),
             hit: lineData[line]
           }))
+        },
+        branches: {
+          details: branchDetails
+        },
+        functions: {
+          details: functionDetails
         }
       });
     }
@@ -76,20 +159,348 @@ class CoverageParser {
   }
 
   /**
-   * Auto-detect and parse coverage file
+   * Resolve a source filename from an XML report against its source roots.
+   *
+   * Uses the first source root under which the file exists on disk, and
+   * returns the path relative to the working directory when it lies inside it.
+   */
+  static resolveSourcePath(filename, sources = []) {
+    let resolved = filename;
+
+    if (!path.isAbsolute(filename)) {
+      const candidates = sources.map(source => path.resolve(source, filename));
+      resolved = candidates.find(candidate => fs.existsSync(candidate)) || candidates[0] || filename;
+    }
+
+    if (path.isAbsolute(resolved)) {
+      const relative = path.relative(process.cwd(), resolved);
+      if (!relative.startsWith('..') && !path.isAbsolute(relative)) {
+        return relative.split(path.sep).join('/');
+      }
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Parse Cobertura XML coverage format
+   */
+  static parseCobertura(filePath) {
+    const xml = parseXml(fs.readFileSync(filePath, 'utf8'), ['source', 'package', 'class', 'method', 'line']);
+    const coverage = xml.coverage;
+    if (!coverage) {
+      throw new Error(`Invalid Cobertura coverage file: ${filePath}`);
+    }
+
+    const sources = ((coverage.sources && coverage.sources.source) || [])
+      .map(source => String(typeof source === 'object' ? source['#text'] || '' : source).trim())
+      .filter(Boolean);
+    const packages = (coverage.packages && coverage.packages.package) || [];
+    const result = [];
+
+    for (const pkg of packages) {
+      const classes = (pkg.classes && pkg.classes.class) || [];
+
+      for (const cls of classes) {
+        const lineDetails = [];
+        const branchDetails = [];
+        const functionDetails = [];
+
+        for (const line of (cls.lines && cls.lines.line) || []) {
+          const lineNumber = parseInt(line.number);
+          const hits = parseInt(line.hits) || 0;
+          lineDetails.push({ line: lineNumber, hit: hits });
+
+          const conditions = line.branch === 'true' && parseConditionCoverage(line['condition-coverage']);
+          if (conditions) {
+            branchDetails.push(...expandBranchCounts(lineNumber, conditions.covered, conditions.total));
+          }
+        }
+
+        for (const method of (cls.methods && cls.methods.method) || []) {
+          const methodLines = (method.lines && method.lines.line) || [];
+          if (methodLines.length === 0) continue;
+
+          const lineNumbers = methodLines.map(line => parseInt(line.number));
+          functionDetails.push({
+            name: method.name,
+            line: Math.min(...lineNumbers),
+            endLine: Math.max(...lineNumbers),
+            hit: Math.max(...methodLines.map(line => parseInt(line.hits) || 0))
+          });
+        }
+
+        result.push({
+          file: this.resolveSourcePath(cls.filename, sources),
+          lines: { details: lineDetails },
+          branches: { details: branchDetails },
+          functions: { details: functionDetails }
+        });
+      }
+    }
+
+    // Several classes can share one source file
+    return this.merge([result]);
+  }
+
+  /**
+   * Parse Clover XML coverage format
+   */
+  static parseClover(filePath) {
+    const xml = parseXml(fs.readFileSync(filePath, 'utf8'), ['package', 'file', 'line']);
+    const project = xml.coverage && xml.coverage.project;
+    if (!project) {
+      throw new Error(`Invalid Clover coverage file: ${filePath}`);
+    }
+
+    // Files can sit directly under <project> or inside <package> elements
+    const files = [
+      ...(project.file || []),
+      ...(project.package || []).flatMap(pkg => pkg.file || [])
+    ];
+    const result = [];
+
+    for (const file of files) {
+      const lineHits = new Map();
+      const branchDetails = [];
+      const functionDetails = [];
+
+      for (const line of file.line || []) {
+        const lineNumber = parseInt(line.num);
+        const count = parseInt(line.count) || 0;
+
+        if (line.type === 'method') {
+          functionDetails.push({ name: line.name || `(anonymous_${lineNumber})`, line: lineNumber, hit: count });
+          continue;
+        }
+
+        lineHits.set(lineNumber, Math.max(lineHits.get(lineNumber) || 0, count));
+
+        if (line.type === 'cond') {
+          const trueCount = parseInt(line.truecount) || 0;
+          const falseCount = parseInt(line.falsecount) || 0;
+          branchDetails.push(...expandBranchCounts(lineNumber, trueCount, trueCount + falseCount));
+        }
+      }
+
+      result.push({
+        file: this.resolveSourcePath(file.path || file.name),
+        lines: {
+          details: Array.from(lineHits, ([line, hit]) => ({ line, hit })).sort((a, b) => a.line - b.line)
+        },
+        branches: { details: branchDetails },
+        functions: { details: functionDetails }
+      });
+    }
+
+    return this.merge([result]);
+  }
+
+  /**
+   * Parse raw V8 coverage (`coverage-*.json` written by c8 or
+   * NODE_V8_COVERAGE).
+   *
+   * Offsets are converted to lines using the source files on disk. Scripts
+   * that aren't local files inside the working directory, are under
+   * node_modules, or no longer exist are skipped.
+   */
+  static parseV8(filePath) {
+    const coverageData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!Array.isArray(coverageData.result)) {
+      throw new Error(`Invalid V8 coverage file: ${filePath}`);
+    }
+
+    const result = [];
+
+    for (const script of coverageData.result) {
+      if (!script.url || !script.url.startsWith('file://')) continue;
+
+      const sourcePath = fileURLToPath(script.url);
+      const relativePath = path.relative(process.cwd(), sourcePath);
+      if (
+        relativePath.startsWith('..') ||
+        path.isAbsolute(relativePath) ||
+        relativePath.split(path.sep).includes('node_modules') ||
+        !fs.existsSync(sourcePath)
+      ) {
+        continue;
+      }
+
+      result.push({
+        file: relativePath.split(path.sep).join('/'),
+        ...convertV8Functions(fs.readFileSync(sourcePath, 'utf8'), script.functions || [])
+      });
+    }
+
+    return this.merge([result]);
+  }
+
+  /**
+   * Detect the coverage format from file contents.
+   *
+   * Returns one of the `coverage-format` values, `summary` for a
+   * coverage-summary.json file, or null when the format is not recognised.
+   */
+  static detectFormat(content) {
+    const text = content.replace(/^\uFEFF/, '').trimStart();
+
+    if (text.startsWith('<')) {
+      if (!/<coverage[\s>]/.test(text)) return null;
+      // Clover reports nest their files under <project>; Cobertura uses <packages>
+      return /<project[\s>]/.test(text) ? 'clover' : 'cobertura';
+    }
+
+    if (text.startsWith('{')) {
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (error) {
+        return null;
+      }
+      if (Array.isArray(data.result)) return 'v8';
+      if (isCoverageSummary(data)) return 'summary';
+      const entries = Object.values(data);
+      return entries.length === 0 || entries.some(entry => entry && entry.statementMap) ? 'json' : null;
+    }
+
+    if (/^(TN|SF):/m.test(text)) {
+      return 'lcov';
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse a coverage file, detecting its format from the contents unless an
+   * explicit format is given
    */
-  static async parse(filePath) {
+  static async parse(filePath, format = 'auto') {
+    if (!COVERAGE_FORMATS.includes(format)) {
+      throw new Error(`Unknown coverage format "${format}". Expected one of: ${COVERAGE_FORMATS.join(', ')}`);
+    }
+
     if (!fs.existsSync(filePath)) {
       throw new Error(`Coverage file not found: ${filePath}`);
     }
 
-    if (filePath.endsWith('.info') || filePath.includes('lcov')) {
-      return await this.parseLcov(filePath);
-    } else if (filePath.endsWith('.json')) {
-      return this.parseJestJson(filePath);
-    } else {
-      throw new Error('Unsupported coverage file format. Please use LCOV (.info) or Jest JSON format.');
+    const resolvedFormat = format === 'auto' ? this.detectFormat(fs.readFileSync(filePath, 'utf8')) : format;
+
+    switch (resolvedFormat) {
+      case 'lcov':
+        return await this.parseLcov(filePath);
+      case 'json':
+        return this.parseJestJson(filePath);
+      case 'cobertura':
+        return this.parseCobertura(filePath);
+      case 'clover':
+        return this.parseClover(filePath);
+      case 'v8':
+        return this.parseV8(filePath);
+      case 'summary':
+        throw new Error(
+          `${filePath} is a coverage summary, which only has totals per file. ` +
+          'Changed-line coverage needs per-line data: use the lcov or json Jest reporter instead of json-summary.'
+        );
+      default:
+        throw new Error(
+          `Unsupported coverage file format: ${filePath}. ` +
+          'Please use LCOV, Jest JSON, Cobertura XML, Clover XML or V8 format, or set coverage-format.'
+        );
+    }
+  }
+
+  /**
+   * Expand the coverage-file input into a list of coverage files.
+   *
+   * Accepts paths or glob patterns separated by newlines or commas.
+   */
+  static async findCoverageFiles(input) {
+    const patterns = parsePatterns(input);
+
+    const files = [];
+    const missingPatterns = [];
+    for (const pattern of patterns) {
+      if (fs.existsSync(pattern)) {
+        files.push(pattern);
+        continue;
+      }
+
+      const globber = await glob.create(pattern, { matchDirectories: false });
+      const matches = await globber.glob();
+      if (matches.length === 0) {
+        missingPatterns.push(pattern);
+      }
+      files.push(...matches.map(match => path.relative(process.cwd(), match)).sort());
+    }
+
+    // A missing shard would silently drop its files from the percentage
+    if (patterns.length === 0 || missingPatterns.length > 0) {
+      throw new Error(`Coverage file not found: ${missingPatterns.length > 0 ? missingPatterns.join(', ') : input}`);
     }
+
+    return [...new Set(files)];
+  }
+
+  /**
+   * Parse several coverage files, in any supported format, and merge them
+   */
+  static async parseAll(filePaths, format = 'auto') {
+    const dataSets = [];
+    for (const filePath of filePaths) {
+      dataSets.push(await this.parse(filePath, format));
+    }
+
+    return this.merge(dataSets);
+  }
+
+  /**
+   * Merge parsed coverage data sets, summing hit counts for the same source file
+   */
+  static merge(dataSets) {
+    const merged = new Map();
+
+    const sumBy = (target, details, keyOf, countField) => {
+      for (const detail of details) {
+        const key = keyOf(detail);
+        const existing = target.get(key);
+        if (existing) {
+          existing[countField] += detail[countField] || 0;
+        } else {
+          target.set(key, { ...detail, [countField]: detail[countField] || 0 });
+        }
+      }
+    };
+
+    for (const dataSet of dataSets) {
+      for (const file of dataSet) {
+        const filePath = normalizePath(file.file);
+        if (!merged.has(filePath)) {
+          merged.set(filePath, { file: filePath, lines: new Map(), branches: new Map(), functions: new Map() });
+        }
+        const entry = merged.get(filePath);
+
+        sumBy(entry.lines, (file.lines && file.lines.details) || [], detail => detail.line, 'hit');
+        sumBy(
+          entry.branches,
+          (file.branches && file.branches.details) || [],
+          detail => `${detail.line}:${detail.block}:${detail.branch}`,
+          'taken'
+        );
+        sumBy(
+          entry.functions,
+          (file.functions && file.functions.details) || [],
+          detail => `${detail.line}:${detail.name}`,
+          'hit'
+        );
+      }
+    }
+
+    return Array.from(merged.values()).map(entry => ({
+      file: entry.file,
+      lines: { details: Array.from(entry.lines.values()).sort((a, b) => a.line - b.line) },
+      branches: { details: Array.from(entry.branches.values()) },
+      functions: { details: Array.from(entry.functions.values()) }
+    }));
   }
 }
 
@@ -0,0 +1,178 @@
+/**
+ * Collect the new-file line numbers added by a single file patch.
+ *
+ * Accepts the `patch` field returned by the GitHub pulls API or the hunk
+ * section of a `git diff` for one file.
+ */
+function parsePatch(patch) {
+  const addedLines = new Set();
+  if (!patch) {
+    return addedLines;
+  }
+
+  let currentLine = 0;
+
+  for (const line of patch.split('\n')) {
+    if (line.startsWith('@@')) {
+      // Parse hunk header: @@ -start,count +start,count @@
+      const match = line.match(/\+(\d+)/);
+      if (match) {
+        currentLine = parseInt(match[1]);
+      }
+    } else if (line.startsWith('+') && !line.startsWith('+++')) {
+      // This is an added line
+      addedLines.add(currentLine);
+      currentLine++;
+    } else if (!line.startsWith('-') && !line.startsWith('\\')) {
+      // This is a context line (unchanged)
+      currentLine++;
+    }
+  }
+
+  return addedLines;
+}
+
+/**
+ * Collect the runs of removed and added lines in a single file patch.
+ *
+ * Each block records where it starts in the old and new file and how many
+ * lines it removes and adds. A block that only adds lines starts at the old
+ * line that follows the insertion (and vice versa for removals).
+ */
+function parseChangeBlocks(patch) {
+  const blocks = [];
+  if (!patch) {
+    return blocks;
+  }
+
+  let oldLine = 0;
+  let newLine = 0;
+  let block = null;
+
+  for (const line of patch.split('\n')) {
+    if (line.startsWith('@@')) {
+      const match = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+      if (match) {
+        // An empty range is numbered after the line it follows
+        oldLine = parseInt(match[1]) + (match[2] === '0' ? 1 : 0);
+        newLine = parseInt(match[3]) + (match[4] === '0' ? 1 : 0);
+      }
+      block = null;
+    } else if (line.startsWith('-') || line.startsWith('+')) {
+      if (!block) {
+        block = { oldStart: oldLine, oldLines: 0, newStart: newLine, newLines: 0 };
+        blocks.push(block);
+      }
+      if (line.startsWith('-')) {
+        block.oldLines++;
+        oldLine++;
+      } else {
+        block.newLines++;
+        newLine++;
+      }
+    } else if (!line.startsWith('\\') && line !== '') {
+      // Context line
+      block = null;
+      oldLine++;
+      newLine++;
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Map a line of the old file to its line in the new file, or null when the
+ * line was removed or rewritten.
+ */
+function mapOldLineToNew(blocks, oldLine) {
+  let offset = 0;
+
+  for (const block of blocks) {
+    if (oldLine >= block.oldStart && oldLine < block.oldStart + block.oldLines) {
+      return null;
+    }
+    if (block.oldStart + block.oldLines <= oldLine) {
+      offset += block.newLines - block.oldLines;
+    }
+  }
+
+  return oldLine + offset;
+}
+
+/**
+ * Strip the `a/` or `b/` prefix git adds to paths in diff headers.
+ */
+function stripDiffPrefix(filePath) {
+  return filePath.replace(/^[ab]\//, '');
+}
+
+/**
+ * Split a multi-file unified diff (as printed by `git diff`) into a
+ * `{ filename: patch }` map of each file's hunks.
+ *
+ * Deleted files are skipped. Files without hunks (binary files, mode or
+ * rename-only changes) are kept with an empty patch, matching how files
+ * without a `patch` are reported by the pulls API.
+ */
+function splitUnifiedDiff(diffText) {
+  const patches = {};
+  let currentFile = null;
+  let patchLines = [];
+
+  const flush = () => {
+    if (currentFile && currentFile.path && !currentFile.deleted) {
+      patches[currentFile.path] = patchLines.join('\n');
+    }
+    currentFile = null;
+    patchLines = [];
+  };
+
+  for (const line of diffText.split('\n')) {
+    if (line.startsWith('diff --git ')) {
+      flush();
+      // Fallback path for hunk-less entries; replaced by the +++ header when present
+      const match = line.match(/^diff --git a\/.+ b\/(.+)$/);
+      currentFile = { path: match ? match[1] : null, deleted: false };
+      continue;
+    }
+
+    if (!currentFile) continue;
+
+    if (patchLines.length === 0 && !line.startsWith('@@')) {
+      if (line.startsWith('+++ ')) {
+        const target = line.slice(4).trim();
+        if (target === '/dev/null') {
+          currentFile.deleted = true;
+        } else {
+          currentFile.path = stripDiffPrefix(target);
+        }
+      } else if (line.startsWith('deleted file mode')) {
+        currentFile.deleted = true;
+      } else if (line.startsWith('rename to ')) {
+        currentFile.path = line.slice('rename to '.length);
+      }
+      continue;
+    }
+
+    patchLines.push(line);
+  }
+
+  flush();
+
+  return patches;
+}
+
+/**
+ * Parse a multi-file unified diff into the `{ filename: Set<line> }` map used
+ * by the coverage calculation.
+ */
+function parseUnifiedDiff(diffText) {
+  const changedLines = {};
+  for (const [filename, patch] of Object.entries(splitUnifiedDiff(diffText))) {
+    changedLines[filename] = parsePatch(patch);
+  }
+  return changedLines;
+}
+
+module.exports = { mapOldLineToNew, parseChangeBlocks, parsePatch, parseUnifiedDiff, splitUnifiedDiff };
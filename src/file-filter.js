@@ -0,0 +1,69 @@
+const { minimatch } = require('minimatch');
+
+/**
+ * Split a multi-value input into patterns. Values may be separated by
+ * newlines or commas; commas inside `{...}` brace groups belong to the glob.
+ * Blank entries are ignored.
+ */
+function parsePatterns(input) {
+  const patterns = [];
+  let current = '';
+  let braceDepth = 0;
+
+  for (const char of input || '') {
+    if (char === '{') {
+      braceDepth++;
+    } else if (char === '}' && braceDepth > 0) {
+      braceDepth--;
+    }
+
+    if (char === '\n' || (char === ',' && braceDepth === 0)) {
+      patterns.push(current);
+      current = '';
+      braceDepth = 0;
+    } else {
+      current += char;
+    }
+  }
+  patterns.push(current);
+
+  return patterns.map(pattern => pattern.trim()).filter(Boolean);
+}
+
+/**
+ * Whether a file path matches any of the given glob patterns.
+ */
+function matchesAny(filePath, patterns) {
+  return patterns.some(pattern => minimatch(filePath, pattern, { dot: true }));
+}
+
+/**
+ * Whether a file passes the include/exclude filters: it matches an include
+ * pattern (or no include patterns are set) and matches no exclude pattern.
+ */
+function isIncluded(filePath, { include = [], exclude = [] } = {}) {
+  const included = include.length === 0 || matchesAny(filePath, include);
+  return included && !matchesAny(filePath, exclude);
+}
+
+/**
+ * Apply include/exclude globs to the changed-lines map.
+ *
+ * Returns the filtered map and the sorted list of files that were left out.
+ */
+function filterChangedLines(changedLines, filters = {}) {
+  const filtered = {};
+  const excludedFiles = [];
+
+  for (const [filePath, lines] of Object.entries(changedLines)) {
+    if (isIncluded(filePath, filters)) {
+      filtered[filePath] = lines;
+    } else {
+      excludedFiles.push(filePath);
+    }
+  }
+
+  return { changedLines: filtered, excludedFiles: excludedFiles.sort((a, b) => a.localeCompare(b)) };
+}
+
+module.exports = { filterChangedLines, isIncluded, matchesAny, parsePatterns };
@@ -0,0 +1,73 @@
+const { execFileSync } = require('child_process');
+const { parseUnifiedDiff } = require('./diff-parser');
+
+/**
+ * Run a git command in the checked-out repository and return its stdout.
+ */
+function runGit(args, cwd = process.cwd()) {
+  try {
+    return execFileSync('git', args, {
+      cwd,
+      encoding: 'utf8',
+      maxBuffer: 256 * 1024 * 1024,
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+  } catch (error) {
+    const stderr = error.stderr ? error.stderr.toString().trim() : error.message;
+    throw new Error(`git ${args.join(' ')} failed: ${stderr}`);
+  }
+}
+
+/**
+ * Resolve the commit HEAD is diffed against: the base ref itself, or the
+ * merge-base of the base ref and HEAD.
+ */
+function resolveDiffBase(baseRef, { mergeBase = true, cwd } = {}) {
+  if (!baseRef) {
+    throw new Error('A base ref is required to compute changed lines from git');
+  }
+
+  if (!mergeBase) {
+    return baseRef;
+  }
+
+  try {
+    return runGit(['merge-base', baseRef, 'HEAD'], cwd).trim();
+  } catch (error) {
+    throw new Error(
+      `Could not find the merge-base of ${baseRef} and HEAD. ` +
+      `Make sure the base ref is fetched (for example actions/checkout with fetch-depth: 0). ${error.message}`
+    );
+  }
+}
+
+/**
+ * Diff a base ref (or its merge-base with HEAD) against HEAD in the local
+ * repository and return the unified diff text.
+ */
+function getGitDiff(baseRef, { mergeBase = true, cwd } = {}) {
+  const base = resolveDiffBase(baseRef, { mergeBase, cwd });
+
+  return runGit([
+    '-c', 'core.quotePath=false',
+    'diff',
+    '--no-color',
+    '--no-ext-diff',
+    '--unified=0',
+    '--find-renames',
+    base,
+    'HEAD'
+  ], cwd);
+}
+
+/**
+ * Compute changed lines from the local repository by diffing a base ref
+ * (or its merge-base with HEAD) against HEAD.
+ *
+ * Returns the same `{ filename: Set<line> }` map as the pulls API mode.
+ */
+function getGitChangedLines(baseRef, options = {}) {
+  return parseUnifiedDiff(getGitDiff(baseRef, options));
+}
+
+module.exports = { getGitChangedLines, getGitDiff, resolveDiffBase };
@@ -1,5 +1,7 @@
 const fs = require('fs');
 const path = require('path');
+const { formatLineRanges } = require('./changed-lines-coverage');
+const { TREND_WINDOW, formatTrend } = require('./coverage-history');
 
 /**
  * HTML Report Generator for PR Code Coverage
@@ -11,8 +13,11 @@ class HtmlReportGenerator {
 
   /**
    * Generate HTML coverage report for changed files
+   *
+   * `thresholdFailures` decides the headline PASS/FAIL; without it only the
+   * line coverage threshold is checked.
    */
-  async generateReport(coverageResults, changedLines, prData, coverageData = null, minimumCoverage = 80, coverageFilePath = null) {
+  async generateReport(coverageResults, changedLines, prData, coverageData = null, minimumCoverage = 80, coverageFilePaths = null, minimumBranchCoverage = null, thresholdFailures = null) {
     const { totalLines, coveredLines, coverage, fileResults } = coverageResults;
     
     // Create report directory
@@ -21,38 +26,82 @@ class HtmlReportGenerator {
     }
 
     // Generate expandable file sections within the main report
-    const fileSectionsHtml = this.generateFileSectionsHtml(fileResults, changedLines, coverageData, minimumCoverage);
+    const fileSectionsHtml = this.generateFileSectionsHtml(
+      fileResults,
+      changedLines,
+      coverageData,
+      minimumCoverage,
+      coverageResults.ruleChecks,
+      coverageResults.ignoredLines,
+      coverageResults.indirectCoverage ? coverageResults.indirectCoverage.files : []
+    );
     
     // Create the enhanced main report with file sections
     const enhancedReportHtml = this.generateEnhancedMainReport(
       coverageResults,
       prData,
       fileSectionsHtml,
-      minimumCoverage
+      minimumCoverage,
+      minimumBranchCoverage,
+      thresholdFailures
     );
     
     const mainReportPath = path.join(this.reportDir, 'index.html');
     fs.writeFileSync(mainReportPath, enhancedReportHtml);
 
-    let coverageFile = null;
-    if (coverageFilePath && fs.existsSync(coverageFilePath)) {
-      const coverageDestPath = path.join(this.reportDir, path.basename(coverageFilePath));
-      fs.copyFileSync(coverageFilePath, coverageDestPath);
-      coverageFile = coverageDestPath;
-    }
+    const coverageFiles = this.copyCoverageFiles(coverageFilePaths);
 
     return {
       mainReport: mainReportPath,
       fileReports: [], // No separate files needed anymore
       reportDir: this.reportDir,
-      coverageFile
+      coverageFile: coverageFiles[0] || null,
+      coverageFiles
     };
   }
 
+  /**
+   * Write coverage badges (`{ fileName, svg }`) into the report directory
+   * and return their paths.
+   */
+  writeBadges(badges) {
+    if (!fs.existsSync(this.reportDir)) {
+      fs.mkdirSync(this.reportDir, { recursive: true });
+    }
+
+    return badges.map(({ fileName, svg }) => {
+      const badgePath = path.join(this.reportDir, fileName);
+      fs.writeFileSync(badgePath, svg);
+      return badgePath;
+    });
+  }
+
+  /**
+   * Copy the original coverage file(s) into the report directory.
+   *
+   * A single file keeps its name; several files are named after their path so
+   * that per-package `lcov.info` files don't overwrite each other.
+   */
+  copyCoverageFiles(coverageFilePaths) {
+    const filePaths = [].concat(coverageFilePaths || []).filter(filePath => fs.existsSync(filePath));
+
+    return filePaths.map(filePath => {
+      const fileName = filePaths.length > 1
+        ? path.normalize(filePath).replace(/^(\.\.[/\\])+/, '').replace(/[/\\]/g, '_')
+        : path.basename(filePath);
+      const coverageDestPath = path.join(this.reportDir, fileName);
+      fs.copyFileSync(filePath, coverageDestPath);
+      return coverageDestPath;
+    });
+  }
+
   /**
    * Generate HTML sections for all files with expandable code views
    */
-  generateFileSectionsHtml(fileResults, changedLines, coverageData, minimumCoverage) {
+  generateFileSectionsHtml(fileResults, changedLines, coverageData, minimumCoverage, ruleChecks = {}, ignoredLines = [], indirectLossFiles = []) {
+    const ignoredByFile = new Map(ignoredLines.map(({ file, lines }) => [file, new Set(lines)]));
+    const indirectLossByFile = new Map(indirectLossFiles.map(({ file, lines }) => [file, new Set(lines)]));
+
     return Object.entries(fileResults).map(([filePath, result]) => {
       const changedLinesSet = changedLines[filePath] || new Set();
       const fileCoverageData = this.findFileCoverageData(filePath, coverageData);
@@ -70,7 +119,18 @@ class HtmlReportGenerator {
       const lines = fileContent.split('\n');
       const fileId = filePath.replace(/[/\\]/g, '_').replace(/\./g, '_');
       
-      return this.generateFileSection(filePath, lines, changedLinesSet, result, fileCoverageData, fileId, minimumCoverage);
+      return this.generateFileSection(
+        filePath,
+        lines,
+        changedLinesSet,
+        result,
+        fileCoverageData,
+        fileId,
+        minimumCoverage,
+        ruleChecks[filePath],
+        ignoredByFile.get(filePath),
+        indirectLossByFile.get(filePath)
+      );
     }).join('');
   }
 
@@ -117,18 +177,183 @@ class HtmlReportGenerator {
         </div>`;
   }
 
+  /**
+   * Generate HTML section listing changed lines excluded by ignore pragmas
+   */
+  generateIgnoredLinesSection(ignoredLines) {
+    if (!ignoredLines || ignoredLines.length === 0) {
+      return '';
+    }
+
+    const rows = ignoredLines.map(({ file, lines }) => `
+            <tr>
+                <td><code>${this.escapeHtml(file)}</code></td>
+                <td>${formatLineRanges(lines)}</td>
+            </tr>
+        `).join('');
+
+    return `
+        <div class="missing-coverage-section ignored-lines-section">
+            <div class="missing-coverage-header">
+                <span class="missing-coverage-icon">🙈</span>
+                <div>
+                    <h2>Ignored changed lines</h2>
+                    <p>These changed lines are excluded from the check by <code>diff-coverage-ignore</code> comments.</p>
+                </div>
+            </div>
+            <table class="missing-coverage-table">
+                <thead>
+                    <tr>
+                        <th>File</th>
+                        <th>Ignored Lines</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows}
+                </tbody>
+            </table>
+            <p class="missing-coverage-note">
+                Ignored lines do not count towards the coverage percentage. They are shown in grey in the file views above.
+            </p>
+        </div>`;
+  }
+
+  /**
+   * Generate HTML section listing lines outside the diff that lost coverage,
+   * with code excerpts for files that have no section of their own
+   */
+  generateIndirectCoverageLossSection(indirectCoverage, fileResults = {}) {
+    if (!indirectCoverage || indirectCoverage.files.length === 0) {
+      return '';
+    }
+
+    const rows = indirectCoverage.files.map(({ file, lines }) => `
+            <tr>
+                <td><code>${this.escapeHtml(file)}</code></td>
+                <td>${formatLineRanges(lines)}</td>
+            </tr>
+        `).join('');
+
+    const excerpts = indirectCoverage.files
+      .filter(({ file }) => !fileResults[file])
+      .map(({ file, lines }) => {
+        let sourceLines = [];
+        try {
+          if (fs.existsSync(file)) {
+            sourceLines = fs.readFileSync(file, 'utf8').split('\n');
+          }
+        } catch (error) {
+          sourceLines = [];
+        }
+        const linesToDisplay = this.getLinesToDisplay(lines, sourceLines.length, 3);
+
+        return `
+            <h3 class="indirect-loss-file"><code>${this.escapeHtml(file)}</code></h3>
+            <div class="code-container">
+                ${this.renderLinesWithContext(sourceLines, linesToDisplay, [], new Map(), new Map(), new Set(), new Set(lines))}
+            </div>`;
+      }).join('');
+
+    return `
+        <div class="missing-coverage-section indirect-loss-section">
+            <div class="missing-coverage-header">
+                <span class="missing-coverage-icon">📉</span>
+                <div>
+                    <h2>Indirect coverage loss</h2>
+                    <p>These lines were not changed in this PR but are no longer covered by tests.</p>
+                </div>
+            </div>
+            <table class="missing-coverage-table">
+                <thead>
+                    <tr>
+                        <th>File</th>
+                        <th>Lines No Longer Covered</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows}
+                </tbody>
+            </table>
+            ${excerpts}
+            <p class="missing-coverage-note">
+                Lines are compared with the base coverage file. In changed files they are also highlighted in orange in the file views above.
+            </p>
+        </div>`;
+  }
+
+  /**
+   * Generate HTML section with coverage trends from the coverage history
+   */
+  generateTrendSection(coverageTrend) {
+    // A trend needs at least one earlier run besides this one
+    if (!coverageTrend || coverageTrend.runs < 2) {
+      return '';
+    }
+
+    const latest = values => (values.length > 0 ? `${values[values.length - 1].toFixed(2)}%` : '—');
+    const row = (label, values) => `
+            <tr>
+                <td>${label}</td>
+                <td class="trend-sparkline">${this.escapeHtml(formatTrend(values))}</td>
+                <td>${latest(values)}</td>
+            </tr>
+        `;
+    // Diff coverage only trends across earlier runs of the same PR
+    const rows = [
+      coverageTrend.diffCoverage.length > 1 ? row('<strong>Changed lines</strong>', coverageTrend.diffCoverage) : '',
+      row('<strong>All files</strong>', coverageTrend.totalCoverage),
+      ...Object.entries(coverageTrend.files).map(([file, values]) => row(`<code>${this.escapeHtml(file)}</code>`, values))
+    ].join('');
+
+    return `
+        <div class="missing-coverage-section trend-section">
+            <div class="missing-coverage-header">
+                <span class="missing-coverage-icon">📈</span>
+                <div>
+                    <h2>Coverage trend</h2>
+                    <p>Coverage over the last ${Math.min(coverageTrend.runs, TREND_WINDOW)} recorded runs, oldest first.</p>
+                </div>
+            </div>
+            <table class="missing-coverage-table">
+                <thead>
+                    <tr>
+                        <th></th>
+                        <th>Trend</th>
+                        <th>Latest</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows}
+                </tbody>
+            </table>
+            <p class="missing-coverage-note">
+                File trends show total line coverage of the files changed in this PR.
+            </p>
+        </div>`;
+  }
+
   /**
    * Generate enhanced main report with embedded file sections
    */
-  generateEnhancedMainReport(results, prData, fileSectionsHtml, minimumCoverage) {
+  generateEnhancedMainReport(results, prData, fileSectionsHtml, minimumCoverage, minimumBranchCoverage = null, thresholdFailures = null) {
     const {
       totalLines,
       coveredLines,
       coverage,
+      totalBranches = 0,
+      coveredBranches = 0,
+      branchCoverage = 100,
       fileResults,
-      filesWithNoExecutableChanges = []
+      filesWithNoExecutableChanges = [],
+      ignoredLines = [],
+      indirectCoverage = null,
+      coverageTrend = null,
+      badges = []
     } = results;
     const timestamp = new Date().toISOString();
+    const trendHtml = this.generateTrendSection(coverageTrend);
+    const indirectLossHtml = this.generateIndirectCoverageLossSection(indirectCoverage, fileResults);
+    const ignoredLinesHtml = this.generateIgnoredLinesSection(ignoredLines);
     const filesWithNoExecutableChangesHtml = this.generateFilesWithNoExecutableChangesSection(
       filesWithNoExecutableChanges
     );
@@ -136,6 +361,12 @@ class HtmlReportGenerator {
     const hasTrackableFiles = analyzedFileCount > 0;
     const hasNonExecutableFiles = filesWithNoExecutableChanges.length > 0;
     const hasUnanalyzedFiles = hasNonExecutableFiles;
+    const branchCardHtml = this.generateBranchSummaryCard(
+      { totalBranches, coveredBranches, branchCoverage },
+      minimumBranchCoverage
+    );
+    // Headline status follows every threshold when the failures are known
+    const passed = thresholdFailures ? thresholdFailures.length === 0 : coverage >= minimumCoverage;
     return `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -184,6 +415,12 @@ class HtmlReportGenerator {
             font-size: 1.1em;
             opacity: 0.9;
         }
+
+        .header-badges {
+            display: flex;
+            gap: 8px;
+            margin-top: 12px;
+        }
         
         .summary {
             display: grid;
@@ -322,6 +559,18 @@ class HtmlReportGenerator {
             background-color: #ffebe9; 
             border: 1px solid #d73a49;
         }
+        .legend-partial {
+            background-color: #fff8c5;
+            border: 1px solid #d4a72c;
+        }
+        .legend-ignored {
+            background-color: #f6f8fa;
+            border: 1px dashed #8c959f;
+        }
+        .legend-indirect-loss {
+            background-color: #fff1e5;
+            border: 1px solid #e36209;
+        }
         
         .code-container {
             font-family: 'SFMono-Regular', Consolas, 'Liberation Mono', Menlo, monospace;
@@ -381,6 +630,49 @@ class HtmlReportGenerator {
             color: white;
         }
         
+        .line-partial {
+            background-color: #fff8c5;
+        }
+        
+        .line-partial .line-number {
+            background-color: #d4a72c;
+            color: white;
+        }
+        
+        .line-ignored {
+            background-color: #f6f8fa;
+            color: #8c959f;
+        }
+        
+        .line-ignored .line-number {
+            background-color: #8c959f;
+            color: white;
+        }
+        
+        .line-indirect-loss {
+            background-color: #fff1e5;
+        }
+        
+        .line-indirect-loss .line-number {
+            background-color: #e36209;
+            color: white;
+        }
+
+        .trend-sparkline {
+            font-family: 'SFMono-Regular', Consolas, 'Liberation Mono', Menlo, monospace;
+            letter-spacing: 1px;
+        }
+
+        .indirect-loss-file {
+            margin: 16px 24px 8px;
+            font-size: 1em;
+        }
+
+        .indirect-loss-section .code-container {
+            margin: 0 24px;
+            background: white;
+        }
+        
         .line-gap {
             display: flex;
             border-bottom: 1px solid #f6f8fa;
@@ -451,6 +743,20 @@ class HtmlReportGenerator {
             font-size: 1.2em;
         }
         
+        .rule-tag {
+            font-size: 0.8em;
+            padding: 2px 8px;
+            border-radius: 10px;
+            background: #ddf4ff;
+            color: #0969da;
+            font-family: 'SFMono-Regular', Consolas, 'Liberation Mono', Menlo, monospace;
+        }
+        
+        .rule-tag.rule-failed {
+            background: #ffebe9;
+            color: #cf222e;
+        }
+        
         .footer {
             padding: 20px 30px;
             text-align: center;
@@ -565,20 +871,26 @@ class HtmlReportGenerator {
                 Coverage analysis for changed lines only • Generated on ${new Date(timestamp).toLocaleString()}
                 ${prData ? `<br>PR #${prData.number}: ${prData.title}` : ''}
             </div>
+            ${badges.length > 0 ? `
+            <div class="header-badges">
+                ${badges.map(fileName => `<img src="${this.escapeHtml(fileName)}" alt="${this.escapeHtml(fileName.replace(/\.svg$/, ''))}">`).join('\n                ')}
+            </div>` : ''}
         </div>
 
         <div class="summary">
             <div class="summary-card">
                 <h3>${coverage.toFixed(1)}%</h3>
                 <p>PR Diff Coverage</p>
-                <div class="coverage-badge ${this.getCoverageBadgeClass(coverage, minimumCoverage)}">
-                    ${this.getCoverageIcon(coverage, minimumCoverage)} ${coverage >= minimumCoverage ? 'PASS' : 'FAIL'}
+                <div class="coverage-badge ${passed ? 'coverage-pass' : 'coverage-fail'}">
+                    ${passed ? '✅ PASS' : '❌ FAIL'}
                 </div>
                 <div style="font-size: 0.8em; color: #586069; margin-top: 8px;">
                     Changed lines only
                 </div>
             </div>
             
+            ${branchCardHtml}
+
             <div class="summary-card">
                 <h3>${coveredLines}</h3>
                 <p>Changed Lines Covered</p>
@@ -621,6 +933,7 @@ class HtmlReportGenerator {
                 This report shows <strong>test coverage for changed lines in this PR</strong>, not overall project coverage.
                 Lines highlighted in <span style="background: #e6ffed; padding: 2px 4px; border-radius: 3px;">green</span> are covered by tests,
                 while lines highlighted in <span style="background: #ffebe9; padding: 2px 4px; border-radius: 3px;">red</span> are not covered.
+                Lines highlighted in <span style="background: #fff8c5; padding: 2px 4px; border-radius: 3px;">yellow</span> ran, but some of their branches never did.
                 Changed lines that could not be checked appear without highlighting.
             </p>
         </div>
@@ -634,6 +947,12 @@ class HtmlReportGenerator {
         </div>
         ` : '')}
 
+        ${trendHtml}
+
+        ${indirectLossHtml}
+
+        ${ignoredLinesHtml}
+
         ${filesWithNoExecutableChangesHtml}
 
         <div class="footer">
@@ -725,7 +1044,15 @@ class HtmlReportGenerator {
   /**
    * Render lines with context, showing gaps where code is omitted
    */
-  renderLinesWithContext(lines, linesToDisplay, changedLines, coverageMap) {
+  renderLinesWithContext(
+    lines,
+    linesToDisplay,
+    changedLines,
+    coverageMap,
+    branchMap = new Map(),
+    ignoredLines = new Set(),
+    indirectLossLines = new Set()
+  ) {
     if (linesToDisplay.length === 0) {
       return '<div class="no-changes">No lines to display</div>';
     }
@@ -750,19 +1077,31 @@ class HtmlReportGenerator {
       
       const isChanged = changedLines.includes(lineNumber);
       const isCovered = coverageMap.get(lineNumber);
+      const branches = branchMap.get(lineNumber);
+      const hasMissedBranches = branches && branches.taken < branches.total;
       
       let lineClass = '';
       // Only highlight changed lines that appear in the coverage file with hit data
-      if (isChanged && isCovered === true) {
+      if (ignoredLines.has(lineNumber)) {
+        lineClass = 'line-ignored';
+      } else if (indirectLossLines.has(lineNumber)) {
+        // Unchanged line that base coverage ran but this run doesn't
+        lineClass = 'line-indirect-loss';
+      } else if (isChanged && isCovered === true && hasMissedBranches) {
+        lineClass = 'line-partial';
+      } else if (isChanged && isCovered === true) {
         lineClass = 'line-covered';
       } else if (isChanged && isCovered === false) {
         lineClass = 'line-uncovered';
       }
       // Changed lines without coverage data appear without highlighting
+      const branchTitle = isChanged && branches
+        ? ` title="${branches.taken}/${branches.total} branches taken"`
+        : '';
       
       result += `
         <div class="line ${lineClass}">
-          <div class="line-number">${lineNumber}</div>
+          <div class="line-number"${branchTitle}>${lineNumber}</div>
           <div class="line-content">${this.escapeHtml(line || '')}</div>
         </div>
       `;
@@ -776,9 +1115,23 @@ class HtmlReportGenerator {
   /**
    * Generate individual expandable file section
    */
-  generateFileSection(filePath, lines, changedLinesSet, result, fileCoverageData, fileId, minimumCoverage) {
+  generateFileSection(
+    filePath,
+    lines,
+    changedLinesSet,
+    result,
+    fileCoverageData,
+    fileId,
+    minimumCoverage,
+    ruleCheck = null,
+    ignoredLinesSet = new Set(),
+    indirectLossSet = new Set()
+  ) {
     const changedLines = Array.from(changedLinesSet || []);
-    const linesToDisplay = this.getLinesToDisplay(changedLines, lines.length);
+    const linesToDisplay = this.getLinesToDisplay([...changedLines, ...ignoredLinesSet, ...indirectLossSet], lines.length);
+    // A matching path rule replaces the global line threshold for this file
+    const lineThreshold = ruleCheck ? ruleCheck.thresholds.lines : minimumCoverage;
+    const passed = ruleCheck ? ruleCheck.failures.length === 0 : result.coverage >= lineThreshold;
     
     // Create a map of line numbers to coverage status
     const coverageMap = new Map();
@@ -787,21 +1140,24 @@ class HtmlReportGenerator {
         coverageMap.set(lineInfo.line, lineInfo.hit > 0);
       });
     }
+    const branchMap = this.buildBranchMap(fileCoverageData);
     
     return `
         <div class="file-section" id="${fileId}">
             <div class="file-header" data-file="${fileId}" onclick="toggleFile('${fileId}')">
                 <div class="file-title">
-                    <span class="status-icon">${result.coverage >= minimumCoverage ? '✅' : '❌'}</span>
+                    <span class="status-icon">${passed ? '✅' : '❌'}</span>
                     <span class="file-path">${filePath}</span>
+                    ${ruleCheck ? `<span class="rule-tag${passed ? '' : ' rule-failed'}" title="${this.escapeHtml(this.describeRuleCheck(ruleCheck))}">Rule: ${this.escapeHtml(ruleCheck.rule)} (${lineThreshold}%)</span>` : ''}
                 </div>
                 <div class="file-stats">
                     <div class="coverage-bar">
-                        <div class="coverage-fill ${this.getCoverageBadgeClass(result.coverage, minimumCoverage)}" style="width: ${result.coverage}%"></div>
-                        <div class="coverage-text">${result.coverage >= minimumCoverage ? 'PASS' : 'FAIL'}</div>
+                        <div class="coverage-fill ${passed ? 'coverage-pass' : 'coverage-fail'}" style="width: ${result.coverage}%"></div>
+                        <div class="coverage-text">${passed ? 'PASS' : 'FAIL'}</div>
                     </div>
                     <span>Changed: ${result.totalLines}</span>
                     <span>Covered: ${result.coveredLines}</span>
+                    ${result.totalBranches > 0 ? `<span>Branches: ${result.coveredBranches}/${result.totalBranches}</span>` : ''}
                     <span style="font-size: 0.8em; opacity: 0.7;">Changed lines</span>
                     <span class="expand-icon">▼</span>
                 </div>
@@ -818,11 +1174,25 @@ class HtmlReportGenerator {
                             <span>❌</span>
                             <span>Uncovered</span>
                         </div>
+                        <div class="legend-item legend-partial">
+                            <span>⚠️</span>
+                            <span>Partial branches</span>
+                        </div>
+                        ${ignoredLinesSet.size > 0 ? `
+                        <div class="legend-item legend-ignored">
+                            <span>🙈</span>
+                            <span>Ignored</span>
+                        </div>` : ''}
+                        ${indirectLossSet.size > 0 ? `
+                        <div class="legend-item legend-indirect-loss">
+                            <span>📉</span>
+                            <span>No longer covered</span>
+                        </div>` : ''}
                     </div>
                 </div>
                 
                 <div class="code-container">
-                    ${this.renderLinesWithContext(lines, linesToDisplay, changedLines, coverageMap)}
+                    ${this.renderLinesWithContext(lines, linesToDisplay, changedLines, coverageMap, branchMap, ignoredLinesSet, indirectLossSet)}
                 </div>
             </div>
         </div>`;
@@ -863,6 +1233,63 @@ class HtmlReportGenerator {
     }
   }
 
+  /**
+   * Build a map of line numbers to taken/total branch counts
+   */
+  buildBranchMap(fileCoverageData) {
+    const branchMap = new Map();
+    if (!fileCoverageData || !fileCoverageData.branches || !fileCoverageData.branches.details) {
+      return branchMap;
+    }
+
+    fileCoverageData.branches.details.forEach(branchInfo => {
+      const entry = branchMap.get(branchInfo.line) || { taken: 0, total: 0 };
+      entry.total++;
+      if (branchInfo.taken > 0) {
+        entry.taken++;
+      }
+      branchMap.set(branchInfo.line, entry);
+    });
+
+    return branchMap;
+  }
+
+  /**
+   * Describe which thresholds of a path rule were checked and which failed
+   */
+  describeRuleCheck(ruleCheck) {
+    if (ruleCheck.failures.length === 0) {
+      return `Meets every threshold of rule ${ruleCheck.rule}`;
+    }
+
+    return ruleCheck.failures
+      .map(({ metric, actual, required }) => `${metric}: ${actual.toFixed(2)}% < ${required}%`)
+      .join(', ');
+  }
+
+  /**
+   * Generate the branch coverage summary card, if there is anything to show
+   */
+  generateBranchSummaryCard({ totalBranches, coveredBranches, branchCoverage }, minimumBranchCoverage) {
+    const hasThreshold = minimumBranchCoverage !== null && minimumBranchCoverage !== undefined;
+    if (totalBranches === 0 && !hasThreshold) {
+      return '';
+    }
+
+    return `
+            <div class="summary-card">
+                <h3>${branchCoverage.toFixed(1)}%</h3>
+                <p>Branch Coverage</p>
+                ${hasThreshold ? `
+                <div class="coverage-badge ${this.getCoverageBadgeClass(branchCoverage, minimumBranchCoverage)}">
+                    ${this.getCoverageIcon(branchCoverage, minimumBranchCoverage)} ${branchCoverage >= minimumBranchCoverage ? 'PASS' : 'FAIL'}
+                </div>` : ''}
+                <div style="font-size: 0.8em; color: #586069; margin-top: 8px;">
+                    ${coveredBranches}/${totalBranches} branches on changed lines
+                </div>
+            </div>`;
+  }
+
   /**
    * Find coverage data for a specific file
    */
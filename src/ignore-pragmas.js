@@ -0,0 +1,125 @@
+const fs = require('fs');
+
+// Matched against the comment text found by findComment
+const PRAGMA_PATTERN = /^(?:\/\/|\/\*|\*)\s*diff-coverage-ignore-(next-line|start|end)\b/;
+
+/**
+ * The comment of a line of JavaScript, starting at its `//` or `/*`, or the
+ * whole line when it continues a block comment with a leading `*`. Markers
+ * inside string literals are skipped. Returns null when the line has no
+ * comment.
+ */
+function findComment(text) {
+  const leading = text.match(/^\s*\*/);
+  if (leading) {
+    return text.slice(leading[0].length - 1);
+  }
+
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\') {
+        i++;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'" || char === '`') {
+      quote = char;
+    } else if (char === '/' && (text[i + 1] === '/' || text[i + 1] === '*')) {
+      return text.slice(i);
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the lines of a source file excluded by ignore pragmas.
+ *
+ * `diff-coverage-ignore-next-line` excludes the line after the comment;
+ * `diff-coverage-ignore-start` / `diff-coverage-ignore-end` exclude the block
+ * between them, including the pragma lines. A start without a matching end
+ * excludes nothing and is returned as `unterminatedStart`.
+ */
+function findIgnoredLines(source) {
+  const ignored = new Set();
+  let blockStart = null;
+
+  source.split('\n').forEach((text, index) => {
+    const lineNumber = index + 1;
+    const comment = findComment(text);
+    const match = comment && comment.match(PRAGMA_PATTERN);
+    if (!match) return;
+
+    if (match[1] === 'next-line') {
+      ignored.add(lineNumber + 1);
+    } else if (match[1] === 'start' && blockStart === null) {
+      blockStart = lineNumber;
+    } else if (match[1] === 'end' && blockStart !== null) {
+      for (let line = blockStart; line <= lineNumber; line++) {
+        ignored.add(line);
+      }
+      blockStart = null;
+    }
+  });
+
+  return { ignored, unterminatedStart: blockStart };
+}
+
+/**
+ * Remove changed lines excluded by ignore pragmas in the checked-out files.
+ *
+ * Returns the remaining changed lines, per file the changed lines that were
+ * ignored, and the start pragmas that have no matching end. Files whose
+ * changed lines are all ignored are dropped.
+ */
+function applyIgnorePragmas(changedLines, readFile = filePath => fs.readFileSync(filePath, 'utf8')) {
+  const remaining = {};
+  const ignoredLines = [];
+  const unterminatedBlocks = [];
+
+  for (const [filePath, lines] of Object.entries(changedLines)) {
+    let source;
+    try {
+      source = readFile(filePath);
+    } catch (error) {
+      remaining[filePath] = lines;
+      continue;
+    }
+
+    if (!source.includes('diff-coverage-ignore-')) {
+      remaining[filePath] = lines;
+      continue;
+    }
+
+    const { ignored, unterminatedStart } = findIgnoredLines(source);
+    if (unterminatedStart !== null) {
+      unterminatedBlocks.push({ file: filePath, line: unterminatedStart });
+    }
+    const kept = new Set();
+    const fileIgnored = [];
+
+    for (const line of lines) {
+      if (ignored.has(line)) {
+        fileIgnored.push(line);
+      } else {
+        kept.add(line);
+      }
+    }
+
+    if (fileIgnored.length > 0) {
+      ignoredLines.push({ file: filePath, lines: fileIgnored.sort((a, b) => a - b) });
+    }
+    if (kept.size > 0 || fileIgnored.length === 0) {
+      remaining[filePath] = kept;
+    }
+  }
+
+  return {
+    changedLines: remaining,
+    ignoredLines: ignoredLines.sort((a, b) => a.file.localeCompare(b.file)),
+    unterminatedBlocks: unterminatedBlocks.sort((a, b) => a.file.localeCompare(b.file))
+  };
+}
+
+module.exports = { applyIgnorePragmas, findIgnoredLines };
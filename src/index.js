@@ -1,55 +1,128 @@
 const core = require('@actions/core');
 const github = require('@actions/github');
-const fs = require('fs');
 const CoverageParser = require('./coverage-parser');
 const HtmlReportGenerator = require('./html-report-generator');
-const { calculateChangedLinesCoverage } = require('./changed-lines-coverage');
+const { calculateChangedLinesCoverage, formatLineRanges } = require('./changed-lines-coverage');
+const { parseChangeBlocks, parsePatch, splitUnifiedDiff } = require('./diff-parser');
+const { getGitDiff } = require('./git-diff');
+const { describeFailure, parseThreshold } = require('./thresholds');
+const { loadConfig } = require('./config');
+const { isIncluded, parsePatterns } = require('./file-filter');
+const { batchAnnotations, buildUncoveredAnnotations, truncateSummary } = require('./annotations');
+const { buildReviewComments, planReviewCommentSync } = require('./review-comments');
+const { parsePathRewrites } = require('./path-mapping');
+const { formatDelta, summarizeCoverage } = require('./coverage-delta');
+const { buildCoverageBadges } = require('./badges');
+const { analyzeCoverage, loadCoverage } = require('./analysis');
+const {
+  TREND_WINDOW,
+  appendHistoryRecord,
+  buildHistoryRecord,
+  buildTrend,
+  formatTrend,
+  parseHistory,
+  readHistoryFile
+} = require('./coverage-history');
+const { buildResultsJson, listUncoveredFiles } = require('./results-file');
+const { buildSarifLog } = require('./sarif');
+const { buildJUnitReport } = require('./junit');
+const { writeJsonFile, writeOutputFile } = require('./utils');
+
+// The pulls.listFiles endpoint returns at most 3000 files for a PR
+const MAX_PR_FILES = 3000;
 
 class CoverageAnalyzer {
   constructor() {
     this.token = core.getInput('github-token');
-    this.octokit = github.getOctokit(this.token);
+    this.octokit = this.token ? github.getOctokit(this.token) : null;
     this.context = github.context;
+    this.unanalyzedFiles = [];
+    this.fileListTruncated = false;
+    // Removed/added line runs per file, used to follow unchanged lines across the diff
+    this.changeBlocks = {};
   }
 
-
   /**
-   * Get PR files and their changed lines
+   * List every file in the PR, page by page, up to the API limit
    */
-  async getPrChangedLines() {
-    const { data: files } = await this.octokit.rest.pulls.listFiles({
+  async listPrFiles() {
+    const files = await this.octokit.paginate(this.octokit.rest.pulls.listFiles, {
       owner: this.context.repo.owner,
       repo: this.context.repo.repo,
-      pull_number: this.context.payload.pull_request.number
+      pull_number: this.context.payload.pull_request.number,
+      per_page: 100
     });
 
+    const changedFileCount = this.context.payload.pull_request.changed_files;
+    this.fileListTruncated = files.length >= MAX_PR_FILES &&
+      (changedFileCount === undefined || changedFileCount > files.length);
+    if (this.fileListTruncated) {
+      core.warning(`The GitHub API only lists the first ${MAX_PR_FILES} files of a PR; remaining files were not checked`);
+    }
+
+    return files;
+  }
+
+  /**
+   * Get changed lines for files whose patch the pulls API omitted.
+   *
+   * Tries the raw PR diff first, then a local git diff against the PR base.
+   * When both fall short, returns whatever the raw diff recovered.
+   */
+  async getRawDiffChangedLines(filenames) {
+    let rawChangedLines = {};
+    try {
+      const { data: diff } = await this.octokit.rest.pulls.get({
+        owner: this.context.repo.owner,
+        repo: this.context.repo.repo,
+        pull_number: this.context.payload.pull_request.number,
+        mediaType: { format: 'diff' }
+      });
+      rawChangedLines = this.parseDiff(diff);
+      if (filenames.every(filename => rawChangedLines[filename])) {
+        return rawChangedLines;
+      }
+    } catch (error) {
+      core.warning(`Failed to fetch the raw PR diff: ${error.message}`);
+    }
+
+    try {
+      return this.getGitChangedLines(this.context.payload.pull_request.base.sha);
+    } catch (error) {
+      core.warning(`Failed to compute changed lines from git: ${error.message}`);
+      return rawChangedLines;
+    }
+  }
+
+  /**
+   * Get PR files and their changed lines
+   */
+  async getPrChangedLines() {
+    const files = await this.listPrFiles();
+
     const changedLines = {};
+    const filesWithoutPatch = [];
 
     for (const file of files) {
       if (file.status === 'removed') continue;
-      
-      const filename = file.filename;
-      changedLines[filename] = new Set();
 
       if (file.patch) {
-        const lines = file.patch.split('\n');
-        let currentLine = 0;
-
-        for (const line of lines) {
-          if (line.startsWith('@@')) {
-            // Parse hunk header: @@ -start,count +start,count @@
-            const match = line.match(/\+(\d+)/);
-            if (match) {
-              currentLine = parseInt(match[1]);
-            }
-          } else if (line.startsWith('+') && !line.startsWith('+++')) {
-            // This is an added line
-            changedLines[filename].add(currentLine);
-            currentLine++;
-          } else if (!line.startsWith('-') && !line.startsWith('\\')) {
-            // This is a context line (unchanged)
-            currentLine++;
-          }
+        changedLines[file.filename] = parsePatch(file.patch);
+        this.changeBlocks[file.filename] = parseChangeBlocks(file.patch);
+      } else {
+        filesWithoutPatch.push(file.filename);
+      }
+    }
+
+    if (filesWithoutPatch.length > 0) {
+      core.info(`Recovering diffs for ${filesWithoutPatch.length} file(s) without a patch...`);
+      const recovered = await this.getRawDiffChangedLines(filesWithoutPatch);
+
+      for (const filename of filesWithoutPatch) {
+        if (recovered[filename]) {
+          changedLines[filename] = recovered[filename];
+        } else {
+          this.unanalyzedFiles.push({ file: filename, reason: 'Diff too large to retrieve' });
         }
       }
     }
@@ -57,6 +130,37 @@ class CoverageAnalyzer {
     return changedLines;
   }
 
+  /**
+   * Get changed lines by diffing the checked-out repository against a base ref
+   */
+  getGitChangedLines(baseRef, mergeBase = true) {
+    return this.parseDiff(getGitDiff(baseRef, { mergeBase }));
+  }
+
+  /**
+   * Parse a multi-file diff into changed lines, recording each file's change blocks
+   */
+  parseDiff(diffText) {
+    const changedLines = {};
+    for (const [filename, patch] of Object.entries(splitUnifiedDiff(diffText))) {
+      changedLines[filename] = parsePatch(patch);
+      this.changeBlocks[filename] = parseChangeBlocks(patch);
+    }
+    return changedLines;
+  }
+
+  /**
+   * Get changed lines from the configured diff source
+   */
+  async getChangedLines(diffSource, baseRef, mergeBase) {
+    if (diffSource === 'git') {
+      core.info(`Diffing HEAD against ${mergeBase ? 'merge-base with ' : ''}${baseRef}`);
+      return this.getGitChangedLines(baseRef, mergeBase);
+    }
+
+    return this.getPrChangedLines();
+  }
+
   /**
    * Calculate coverage for changed lines
    */
@@ -69,7 +173,10 @@ class CoverageAnalyzer {
    */
   async uploadHtmlReportArtifact(reportData) {
     try {
-      const artifactName = `coverage-report-pr-${this.context.payload.pull_request.number}`;
+      const pullRequest = this.context.payload.pull_request;
+      const artifactName = pullRequest
+        ? `coverage-report-pr-${pullRequest.number}`
+        : `coverage-report-${(this.context.sha || 'local').slice(0, 7)}`;
       
       // Use GitHub's upload-artifact action via REST API
       core.info(`Uploading HTML coverage report and coverage file as artifact: ${artifactName}`);
@@ -119,22 +226,66 @@ class CoverageAnalyzer {
   }
 
   /**
-   * Create PR comment with coverage results
+   * Build the markdown coverage report used for PR comments and check runs
    */
-  async createPrComment(results, threshold, meetsThreshold, htmlReportInfo = null, updateExisting = false) {
+  buildCoverageReport(results, thresholds, thresholdFailures, htmlReportInfo = null) {
     const {
       totalLines,
       coveredLines,
       coverage,
+      totalBranches = 0,
+      coveredBranches = 0,
+      branchCoverage = 100,
+      totalFunctions = 0,
+      coveredFunctions = 0,
+      functionCoverage = 100,
+      uncoveredFunctions = [],
       fileResults,
-      filesWithNoExecutableChanges = []
+      filesWithNoExecutableChanges = [],
+      excludedFiles = [],
+      ignoredLines = [],
+      ruleChecks = {},
+      baseComparison = null,
+      indirectCoverage = null,
+      coverageTrend = null
     } = results;
+    const hasRules = Object.keys(ruleChecks).length > 0;
+    const threshold = thresholds.lines;
+    const branchThreshold = thresholds.branches;
+    const functionThreshold = thresholds.functions;
+    const meetsThreshold = thresholdFailures.length === 0;
+    const hasBranchThreshold = branchThreshold !== null;
+    const hasFunctionThreshold = functionThreshold !== null;
+    const showBranches = totalBranches > 0 || hasBranchThreshold;
     
     let comment = `## 📊 Code Coverage Report for Changed Lines\n\n`;
     
     comment += `**Overall Coverage:** ${coverage.toFixed(2)}% (${coveredLines}/${totalLines} lines covered)\n`;
     comment += `**Threshold:** ${threshold}%\n`;
-    comment += `**Status:** ${meetsThreshold ? '✅ Passed' : '❌ Failed'}\n\n`;
+    if (showBranches) {
+      comment += `**Branch Coverage:** ${branchCoverage.toFixed(2)}% (${coveredBranches}/${totalBranches} branches covered)\n`;
+    }
+    if (hasBranchThreshold) {
+      comment += `**Branch Threshold:** ${branchThreshold}%\n`;
+    }
+    if (totalFunctions > 0 || hasFunctionThreshold) {
+      comment += `**Function Coverage:** ${functionCoverage.toFixed(2)}% (${coveredFunctions}/${totalFunctions} touched functions called)\n`;
+    }
+    if (hasFunctionThreshold) {
+      comment += `**Function Threshold:** ${functionThreshold}%\n`;
+    }
+    if (indirectCoverage) {
+      const stillCovered = indirectCoverage.totalLines - indirectCoverage.lostLines;
+      comment += `**Indirect Coverage:** ${indirectCoverage.coverage.toFixed(2)}% (${stillCovered}/${indirectCoverage.totalLines} previously covered lines outside the diff still covered)\n`;
+      if (thresholds.indirect !== null && thresholds.indirect !== undefined) {
+        comment += `**Indirect Coverage Threshold:** ${thresholds.indirect}%\n`;
+      }
+    }
+    comment += `**Status:** ${meetsThreshold ? '✅ Passed' : '❌ Failed'}\n`;
+    if (excludedFiles.length > 0) {
+      comment += `**Files left out by include/exclude filters:** ${excludedFiles.length}\n`;
+    }
+    comment += `\n`;
 
     // Add HTML report link if available
     if (htmlReportInfo) {
@@ -142,14 +293,95 @@ class CoverageAnalyzer {
       comment += `*Click the link above to view the workflow run and download the \`${htmlReportInfo.artifactName}\` artifact for detailed line-by-line coverage analysis and the original coverage file.*\n\n`;
     }
 
+    if (baseComparison) {
+      const formatCoverage = summary => (summary
+        ? `${summary.coverage.toFixed(2)}% (${summary.coveredLines}/${summary.totalLines})`
+        : '—');
+      // Changed files, plus any other file that lost coverage
+      const deltaFiles = [...new Set([...Object.keys(fileResults), ...baseComparison.decreasedFiles])]
+        .filter(file => baseComparison.files[file]);
+
+      comment += `### Project Coverage\n\n`;
+      comment += `| File | Base | Head | Change |\n`;
+      comment += `|------|------|------|--------|\n`;
+      comment += `| **All files** | ${formatCoverage(baseComparison.base)} | ${formatCoverage(baseComparison.head)} | ${formatDelta(baseComparison.delta)} |\n`;
+      for (const file of deltaFiles) {
+        const { base, head, delta } = baseComparison.files[file];
+        comment += `| ${file} | ${formatCoverage(base)} | ${formatCoverage(head)} | ${head ? formatDelta(delta) : 'removed'} |\n`;
+      }
+      if (baseComparison.decreasedFiles.length > 0) {
+        comment += `\n> 🔻 ${baseComparison.decreasedFiles.length} file(s) have lower total coverage than on the base branch.\n`;
+      }
+      comment += `\n`;
+    }
+
+    // A trend needs at least one earlier run besides this one
+    if (coverageTrend && coverageTrend.runs > 1) {
+      comment += `### Coverage Trend (last ${Math.min(coverageTrend.runs, TREND_WINDOW)} runs)\n\n`;
+      comment += `| | Trend |\n`;
+      comment += `|--|-------|\n`;
+      if (coverageTrend.diffCoverage.length > 1) {
+        comment += `| **Changed lines** | ${formatTrend(coverageTrend.diffCoverage)} |\n`;
+      }
+      comment += `| **All files** | ${formatTrend(coverageTrend.totalCoverage)} |\n`;
+      for (const [file, values] of Object.entries(coverageTrend.files)) {
+        comment += `| ${file} | ${formatTrend(values)} |\n`;
+      }
+      comment += `\n`;
+    }
+
     if (Object.keys(fileResults).length > 0) {
       comment += `### File Coverage Details\n\n`;
-      comment += `| File | Coverage | Lines Changed | Lines Covered |\n`;
-      comment += `|------|----------|---------------|---------------|\n`;
+      comment += `| File | Coverage | Branches | Lines Changed | Lines Covered | Uncovered Lines |${hasRules ? ' Rule |' : ''}\n`;
+      comment += `|------|----------|----------|---------------|---------------|-----------------|${hasRules ? '------|' : ''}\n`;
 
       for (const [file, result] of Object.entries(fileResults)) {
-        const icon = result.coverage >= threshold ? '✅' : '❌';
-        comment += `| ${file} | ${icon} ${result.coverage.toFixed(2)}% | ${result.totalLines} | ${result.coveredLines} |\n`;
+        const ruleCheck = ruleChecks[file];
+        const fileThresholds = ruleCheck ? ruleCheck.thresholds : thresholds;
+        const icon = result.coverage >= fileThresholds.lines ? '✅' : '❌';
+        let branches = '—';
+        if (result.totalBranches > 0) {
+          const branchIcon = fileThresholds.branches !== null
+            ? `${result.branchCoverage >= fileThresholds.branches ? '✅' : '❌'} `
+            : '';
+          branches = `${branchIcon}${result.branchCoverage.toFixed(2)}% (${result.coveredBranches}/${result.totalBranches})`;
+        }
+        const rule = ruleCheck ? ` \`${ruleCheck.rule}\` (${ruleCheck.thresholds.lines}%) |` : (hasRules ? ' default |' : '');
+        const uncovered = result.uncoveredLines && result.uncoveredLines.length > 0
+          ? formatLineRanges(result.uncoveredLines)
+          : '—';
+        comment += `| ${file} | ${icon} ${result.coverage.toFixed(2)}% | ${branches} | ${result.totalLines} | ${result.coveredLines} | ${uncovered} |${rule}\n`;
+      }
+    }
+
+    if (uncoveredFunctions.length > 0) {
+      comment += `\n### Functions never called by tests\n\n`;
+      comment += `These functions were declared or edited in this PR but never called:\n\n`;
+
+      for (const { file, name, line } of uncoveredFunctions) {
+        comment += `- \`${name}\` in ${file}:${line}\n`;
+      }
+    }
+
+    if (indirectCoverage && indirectCoverage.files.length > 0) {
+      comment += `\n### Indirect coverage loss\n\n`;
+      comment += `These lines were not changed in this PR but are no longer covered by tests:\n\n`;
+      comment += `| File | Lines No Longer Covered |\n`;
+      comment += `|------|-------------------------|\n`;
+
+      for (const { file, lines } of indirectCoverage.files) {
+        comment += `| ${file} | ${formatLineRanges(lines)} |\n`;
+      }
+    }
+
+    if (ignoredLines.length > 0) {
+      comment += `\n### Ignored changed lines\n\n`;
+      comment += `These changed lines are excluded from the check by \`diff-coverage-ignore\` comments:\n\n`;
+      comment += `| File | Ignored Lines |\n`;
+      comment += `|------|---------------|\n`;
+
+      for (const { file, lines } of ignoredLines) {
+        comment += `| ${file} | ${formatLineRanges(lines)} |\n`;
       }
     }
 
@@ -169,8 +401,30 @@ class CoverageAnalyzer {
       comment += `</details>\n`;
     }
 
+    if (this.unanalyzedFiles.length > 0 || this.fileListTruncated) {
+      comment += `\n### Files that could not be analysed\n\n`;
+
+      if (this.fileListTruncated) {
+        comment += `> ⚠️ This PR changes more than ${MAX_PR_FILES} files. The GitHub API only lists the first ${MAX_PR_FILES}, so the remaining files were not checked.\n\n`;
+      }
+
+      if (this.unanalyzedFiles.length > 0) {
+        comment += `| File | Reason |\n`;
+        comment += `|------|--------|\n`;
+
+        for (const { file, reason } of this.unanalyzedFiles) {
+          comment += `| ${file} | ${reason} |\n`;
+        }
+
+        comment += `\n> GitHub omitted the diff for these files and it could not be recovered, so their changed lines are not included in the coverage above.\n`;
+      }
+    }
+
     if (!meetsThreshold) {
-      comment += `\n⚠️ **The coverage of changed lines (${coverage.toFixed(2)}%) is below the required threshold (${threshold}%).**\n`;
+      comment += `\n`;
+      for (const failure of thresholdFailures) {
+        comment += `⚠️ **The ${describeFailure(failure)}.**\n`;
+      }
       comment += `Please add tests to cover the new/modified code.`;
     }
 
@@ -180,6 +434,235 @@ class CoverageAnalyzer {
       comment += `Once the workflow completes, you can download the artifact to view comprehensive coverage details.`;
     }
 
+    return comment;
+  }
+
+  /**
+   * Create a check run with a summary and one annotation per uncovered changed range.
+   *
+   * Annotations are sent in batches of 50, the most the checks API accepts per request.
+   */
+  async createCheckRun(name, results, report, meetsThreshold) {
+    const pullRequest = this.context.payload.pull_request;
+    const annotations = buildUncoveredAnnotations(results.fileResults);
+    const batches = batchAnnotations(annotations);
+    const output = {
+      title: `${results.coverage.toFixed(2)}% of changed lines covered`,
+      summary: truncateSummary(report)
+    };
+
+    try {
+      const { data: checkRun } = await this.octokit.rest.checks.create({
+        owner: this.context.repo.owner,
+        repo: this.context.repo.repo,
+        name,
+        head_sha: pullRequest ? pullRequest.head.sha : this.context.sha,
+        status: 'in_progress',
+        output: { ...output, annotations: batches.shift() || [] }
+      });
+
+      for (const batch of batches) {
+        await this.octokit.rest.checks.update({
+          owner: this.context.repo.owner,
+          repo: this.context.repo.repo,
+          check_run_id: checkRun.id,
+          output: { ...output, annotations: batch }
+        });
+      }
+
+      await this.octokit.rest.checks.update({
+        owner: this.context.repo.owner,
+        repo: this.context.repo.repo,
+        check_run_id: checkRun.id,
+        status: 'completed',
+        conclusion: meetsThreshold ? 'success' : 'failure',
+        output
+      });
+
+      core.info(`Created check run "${name}" with ${annotations.length} annotation(s)`);
+      core.setOutput('check-run-id', checkRun.id);
+      return checkRun;
+    } catch (error) {
+      core.warning(`Failed to create check run: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Post review comments on uncovered changed ranges and remove the ones from
+   * earlier runs whose lines are now covered
+   */
+  async syncReviewComments(results) {
+    const pullRequest = this.context.payload.pull_request;
+
+    try {
+      const existingComments = await this.octokit.paginate(this.octokit.rest.pulls.listReviewComments, {
+        owner: this.context.repo.owner,
+        repo: this.context.repo.repo,
+        pull_number: pullRequest.number,
+        per_page: 100
+      });
+
+      const { toCreate, toDelete } = planReviewCommentSync(
+        existingComments,
+        buildReviewComments(results.fileResults)
+      );
+
+      for (const comment of toDelete) {
+        await this.octokit.rest.pulls.deleteReviewComment({
+          owner: this.context.repo.owner,
+          repo: this.context.repo.repo,
+          comment_id: comment.id
+        });
+      }
+
+      if (toCreate.length > 0) {
+        await this.octokit.rest.pulls.createReview({
+          owner: this.context.repo.owner,
+          repo: this.context.repo.repo,
+          pull_number: pullRequest.number,
+          commit_id: pullRequest.head.sha,
+          event: 'COMMENT',
+          comments: toCreate.map(({ key, ...comment }) => comment)
+        });
+      }
+
+      core.info(`Review comments: ${toCreate.length} posted, ${toDelete.length} removed`);
+    } catch (error) {
+      core.warning(`Failed to sync review comments: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write the coverage report to the GitHub Actions job summary
+   */
+  async writeJobSummary(report) {
+    try {
+      await core.summary.addRaw(report, true).write();
+      core.info('Wrote coverage report to the job summary');
+    } catch (error) {
+      core.warning(`Failed to write job summary: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read the coverage history from a file on a branch, or from a local file
+   * when no branch is given. Returns the runs and the file's blob sha.
+   */
+  async readHistory(filePath, branch) {
+    if (!branch) {
+      return { history: readHistoryFile(filePath), sha: null };
+    }
+
+    try {
+      const { data } = await this.octokit.rest.repos.getContent({
+        owner: this.context.repo.owner,
+        repo: this.context.repo.repo,
+        path: filePath,
+        ref: branch
+      });
+      // Files over 1 MB come without inline content; read them through the blobs API
+      let encodedContent = data.content;
+      if (data.encoding !== 'base64') {
+        const { data: blob } = await this.octokit.rest.git.getBlob({
+          owner: this.context.repo.owner,
+          repo: this.context.repo.repo,
+          file_sha: data.sha
+        });
+        encodedContent = blob.content;
+      }
+      const content = Buffer.from(encodedContent, 'base64').toString('utf8');
+      return { history: parseHistory(content, `${branch}:${filePath}`), sha: data.sha };
+    } catch (error) {
+      // Missing branch or file: start a new history
+      if (error.status === 404) {
+        return { history: [], sha: null };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Write the coverage history back to where it was read from
+   */
+  async writeHistory(filePath, branch, history, sha) {
+    if (!branch) {
+      writeJsonFile(filePath, history);
+      return;
+    }
+
+    await this.writeFileToBranch(
+      branch,
+      filePath,
+      `${JSON.stringify(history, null, 2)}\n`,
+      `Update coverage history for ${history[history.length - 1].commit.slice(0, 7)}`,
+      sha
+    );
+  }
+
+  /**
+   * Create or update a file on a branch through the contents API.
+   *
+   * Pass the blob sha the content replaces when it is known; otherwise the
+   * current file (if any) is looked up. A missing branch is created as an
+   * orphan branch holding only this file.
+   */
+  async writeFileToBranch(branch, filePath, content, message, sha) {
+    const { owner, repo } = this.context.repo;
+
+    let branchExists = true;
+    try {
+      await this.octokit.rest.repos.getBranch({ owner, repo, branch });
+    } catch (error) {
+      if (error.status !== 404) throw error;
+      branchExists = false;
+    }
+
+    if (!branchExists) {
+      const { data: tree } = await this.octokit.rest.git.createTree({
+        owner,
+        repo,
+        tree: [{ path: filePath, mode: '100644', type: 'blob', content }]
+      });
+      const { data: commit } = await this.octokit.rest.git.createCommit({
+        owner,
+        repo,
+        message,
+        tree: tree.sha,
+        parents: []
+      });
+      await this.octokit.rest.git.createRef({ owner, repo, ref: `refs/heads/${branch}`, sha: commit.sha });
+      return;
+    }
+
+    let currentSha = sha;
+    if (currentSha === undefined) {
+      try {
+        const { data } = await this.octokit.rest.repos.getContent({ owner, repo, path: filePath, ref: branch });
+        currentSha = data.sha;
+      } catch (error) {
+        if (error.status !== 404) throw error;
+        currentSha = null;
+      }
+    }
+
+    await this.octokit.rest.repos.createOrUpdateFileContents({
+      owner,
+      repo,
+      branch,
+      path: filePath,
+      message,
+      content: Buffer.from(content).toString('base64'),
+      ...(currentSha ? { sha: currentSha } : {})
+    });
+  }
+
+  /**
+   * Create PR comment with coverage results
+   */
+  async createPrComment(results, thresholds, thresholdFailures, htmlReportInfo = null, updateExisting = false) {
+    const comment = this.buildCoverageReport(results, thresholds, thresholdFailures, htmlReportInfo);
+
     try {
       if (updateExisting) {
         // Try to find and update existing comment
@@ -215,55 +698,182 @@ class CoverageAnalyzer {
 
 async function run() {
   try {
-    const coverageFilePath = core.getInput('coverage-file');
+    const coverageFileInput = core.getInput('coverage-file');
+    const coverageFormat = core.getInput('coverage-format') || 'auto';
+    const sourceMaps = core.getInput('source-maps') === 'true';
+    const pathRewrites = parsePathRewrites(core.getInput('path-rewrites'));
+    const baseCoverageFileInput = core.getInput('base-coverage-file');
+    const historyFile = core.getInput('history-file');
+    const historyBranch = core.getInput('history-branch');
+    const historyLimit = parseInt(core.getInput('history-limit') || '50', 10);
+    const generateBadges = core.getInput('generate-badges') === 'true';
+    const badgeBranch = core.getInput('badge-branch');
+    const resultsFile = core.getInput('results-file');
+    const sarifFile = core.getInput('sarif-file');
+    const junitFile = core.getInput('junit-file');
     const minimumCoverage = parseFloat(core.getInput('minimum-coverage'));
+    const minimumBranchCoverage = parseThreshold(core.getInput('minimum-branch-coverage'));
+    const minimumFunctionCoverage = parseThreshold(core.getInput('minimum-function-coverage'));
+    const minimumIndirectCoverage = parseThreshold(core.getInput('minimum-indirect-coverage'));
+    const thresholds = {
+      lines: minimumCoverage,
+      branches: minimumBranchCoverage,
+      functions: minimumFunctionCoverage,
+      indirect: minimumIndirectCoverage
+    };
+    const fileFilters = {
+      include: parsePatterns(core.getInput('include')),
+      exclude: parsePatterns(core.getInput('exclude'))
+    };
+    const configFile = core.getInput('config-file');
+    const config = loadConfig(configFile);
+    const createCheckRun = core.getInput('create-check-run') === 'true';
+    const reviewComments = core.getInput('review-comments') === 'true';
+    const jobSummary = core.getInput('job-summary') !== 'false';
+    const checkRunName = core.getInput('check-run-name') || 'Diff Coverage';
     const failOnBelowThreshold = core.getInput('fail-on-coverage-below-threshold') === 'true';
     const commentOnPr = core.getInput('comment-on-pr') === 'true';
     const generateHtmlReport = core.getInput('generate-html-report') === 'true';
     const updateComment = core.getInput('update-comment') === 'true';
+    const diffSource = core.getInput('diff-source') || 'github-api';
+    const diffMergeBase = core.getInput('diff-merge-base') !== 'false';
+    const pullRequest = github.context.payload.pull_request;
 
-    core.info(`Coverage file: ${coverageFilePath}`);
+    core.info(`Coverage file: ${coverageFileInput}`);
     core.info(`Minimum coverage: ${minimumCoverage}%`);
+    if (minimumBranchCoverage !== null) {
+      core.info(`Minimum branch coverage: ${minimumBranchCoverage}%`);
+    }
+    if (minimumFunctionCoverage !== null) {
+      core.info(`Minimum function coverage: ${minimumFunctionCoverage}%`);
+    }
+    if (minimumIndirectCoverage !== null) {
+      core.info(`Minimum indirect coverage: ${minimumIndirectCoverage}%`);
+      if (!baseCoverageFileInput) {
+        core.warning('minimum-indirect-coverage is only checked when base-coverage-file is set');
+      }
+    }
     core.info(`Generate HTML report: ${generateHtmlReport}`);
     core.info(`Update comment: ${updateComment}`);
+    if (config.rules.length > 0) {
+      core.info(`Path threshold rules from ${configFile}: ${config.rules.map(rule => rule.path).join(', ')}`);
+    }
+    core.info(`Diff source: ${diffSource}`);
+
+    if (diffSource !== 'github-api' && diffSource !== 'git') {
+      core.setFailed(`Unsupported diff-source: ${diffSource}. Use 'github-api' or 'git'.`);
+      return;
+    }
 
-    // Check if we're in a PR context
-    if (!github.context.payload.pull_request) {
-      core.setFailed('This action can only be run on pull requests');
+    // The pulls API needs a PR; git mode only needs a base ref
+    if (diffSource === 'github-api' && !pullRequest) {
+      core.setFailed('This action can only be run on pull requests unless diff-source is set to git');
       return;
     }
 
-    // Check if coverage file exists
-    if (!fs.existsSync(coverageFilePath)) {
-      core.setFailed(`Coverage file not found: ${coverageFilePath}`);
+    const baseRef = core.getInput('base-ref') || (pullRequest ? pullRequest.base.sha : '');
+    if (diffSource === 'git' && !baseRef) {
+      core.setFailed('The base-ref input is required when diff-source is git outside of a pull request');
+      return;
+    }
+
+    // Check if coverage files exist
+    let coverageFilePaths;
+    try {
+      coverageFilePaths = await CoverageParser.findCoverageFiles(coverageFileInput);
+    } catch (error) {
+      core.setFailed(error.message);
       return;
     }
 
     const analyzer = new CoverageAnalyzer();
 
+    if (diffSource === 'github-api' && !analyzer.octokit) {
+      core.setFailed('A github-token is required when diff-source is github-api');
+      return;
+    }
+
     // Parse coverage data
-    core.info('Parsing coverage data...');
-    const coverageData = await CoverageParser.parse(coverageFilePath);
+    core.info(`Parsing coverage data from ${coverageFilePaths.length} file(s)...`);
+    for (const coverageFilePath of coverageFilePaths) {
+      core.info(`  - ${coverageFilePath}`);
+    }
+    const loadOptions = { coverageFormat, pathRewrites, sourceMaps };
+    const loadedCoverage = await loadCoverage(coverageFilePaths, loadOptions);
+    if (sourceMaps) {
+      core.info(`Remapped coverage of ${loadedCoverage.remappedFiles.length} file(s) through source maps`);
+      for (const file of loadedCoverage.remappedFiles) {
+        core.debug(`  - ${file}`);
+      }
+    }
+
+    // Base-branch coverage is optional; a missing file (e.g. a cache miss) only skips the comparison
+    let baseCoverageData = null;
+    if (baseCoverageFileInput) {
+      try {
+        const baseCoverageFilePaths = await CoverageParser.findCoverageFiles(baseCoverageFileInput);
+        core.info(`Parsing base coverage data from ${baseCoverageFilePaths.length} file(s)...`);
+        baseCoverageData = (await loadCoverage(baseCoverageFilePaths, loadOptions)).coverageData;
+      } catch (error) {
+        core.warning(`Base coverage could not be read, so changes in project coverage are not reported: ${error.message}`);
+      }
+    }
 
     // Get changed lines in PR
     core.info('Getting PR changed lines...');
-    const changedLines = await analyzer.getPrChangedLines();
+    const allChangedLines = await analyzer.getChangedLines(diffSource, baseRef, diffMergeBase);
+    analyzer.unanalyzedFiles = analyzer.unanalyzedFiles.filter(({ file }) => isIncluded(file, fileFilters));
+
+    // Past the file list limit any file may have changed, so no line can be followed safely
+    if (baseCoverageData && analyzer.fileListTruncated) {
+      core.warning('Indirect coverage loss is not reported because the PR file list was truncated');
+    }
 
-    // Calculate coverage for changed lines
-    core.info('Calculating coverage for changed lines...');
-    const results = analyzer.calculateChangedLinesCoverage(coverageData, changedLines);
+    const { results, thresholdFailures, changedLines, coverageData } = analyzeCoverage({
+      coverageData: loadedCoverage.coverageData,
+      baseCoverageData,
+      changedLines: allChangedLines,
+      fileFilters,
+      thresholds,
+      rules: config.rules,
+      changeBlocks: analyzer.fileListTruncated ? null : analyzer.changeBlocks,
+      unknownChangeFiles: analyzer.unanalyzedFiles.map(({ file }) => file),
+      log: core
+    });
 
     // Set outputs
     core.setOutput('coverage-percentage', results.coverage.toFixed(2));
     core.setOutput('lines-covered', results.coveredLines);
     core.setOutput('total-lines', results.totalLines);
-    const meetsThreshold = results.coverage >= minimumCoverage;
+    core.setOutput('branch-coverage-percentage', results.branchCoverage.toFixed(2));
+    core.setOutput('function-coverage-percentage', results.functionCoverage.toFixed(2));
+    const meetsThreshold = thresholdFailures.length === 0;
     core.setOutput('meets-threshold', meetsThreshold);
+    core.setOutput('uncovered-files', JSON.stringify(listUncoveredFiles(results)));
 
     // Log results
     core.info(`Coverage of changed lines: ${results.coverage.toFixed(2)}%`);
     core.info(`Lines covered: ${results.coveredLines}/${results.totalLines}`);
-    core.info(`Meets threshold (${minimumCoverage}%): ${meetsThreshold}`);
+    core.info(`Branch coverage of changed lines: ${results.branchCoverage.toFixed(2)}% (${results.coveredBranches}/${results.totalBranches})`);
+    core.info(`Function coverage of changed lines: ${results.functionCoverage.toFixed(2)}% (${results.coveredFunctions}/${results.totalFunctions})`);
+    core.info(`Meets thresholds: ${meetsThreshold}`);
+    if (results.baseComparison) {
+      const { base, head, delta, decreasedFiles } = results.baseComparison;
+      core.info(`Project coverage: ${base.coverage.toFixed(2)}% -> ${head.coverage.toFixed(2)}% (${formatDelta(delta)})`);
+      for (const file of decreasedFiles) {
+        core.info(`  Coverage decreased: ${file} (${formatDelta(results.baseComparison.files[file].delta)})`);
+      }
+    }
+    if (results.indirectCoverage) {
+      const { coverage, lostLines, files } = results.indirectCoverage;
+      core.info(`Indirect coverage: ${coverage.toFixed(2)}% (${lostLines} previously covered line(s) outside the diff lost coverage)`);
+      for (const { file, lines } of files) {
+        core.info(`  - ${file}: ${formatLineRanges(lines)}`);
+      }
+    }
+    for (const { file, name, line } of results.uncoveredFunctions) {
+      core.info(`  Uncalled function: ${name} (${file}:${line})`);
+    }
     if (results.filesWithNoExecutableChanges.length > 0) {
       core.info(`Files with no executable changes: ${results.filesWithNoExecutableChanges.length}`);
       for (const { file } of results.filesWithNoExecutableChanges) {
@@ -271,6 +881,107 @@ async function run() {
       }
     }
 
+    if (analyzer.unanalyzedFiles.length > 0) {
+      core.warning(`Files that could not be analysed: ${analyzer.unanalyzedFiles.length}`);
+      for (const { file, reason } of analyzer.unanalyzedFiles) {
+        core.info(`  - ${file} (${reason})`);
+      }
+    }
+
+    // Record this run in the coverage history and show the trend
+    if (historyFile) {
+      if (historyBranch && !analyzer.octokit) {
+        core.warning('A github-token is required to keep the coverage history on a branch');
+      } else {
+        try {
+          const { history, sha } = await analyzer.readHistory(historyFile, historyBranch);
+          const record = buildHistoryRecord({
+            commit: pullRequest ? pullRequest.head.sha : github.context.sha,
+            pr: pullRequest ? pullRequest.number : null,
+            results,
+            coverageData
+          });
+          const updatedHistory = appendHistoryRecord(history, record, historyLimit);
+          results.coverageTrend = buildTrend(updatedHistory, Object.keys(results.fileResults), record.pr);
+
+          await analyzer.writeHistory(historyFile, historyBranch, updatedHistory, sha);
+          core.info(`Recorded coverage history in ${historyBranch ? `${historyBranch}:` : ''}${historyFile} (${updatedHistory.length} run(s))`);
+        } catch (error) {
+          core.warning(`Failed to update coverage history: ${error.message}`);
+        }
+      }
+    }
+
+    // Write SVG badges into the report directory, and optionally to a branch
+    if (generateBadges) {
+      const badges = buildCoverageBadges({
+        diffCoverage: results.coverage,
+        totalCoverage: summarizeCoverage(coverageData).coverage,
+        threshold: thresholds.lines
+      });
+      const badgeGenerator = new HtmlReportGenerator();
+      const badgePaths = badgeGenerator.writeBadges(badges);
+      results.badges = badges.map(({ fileName }) => fileName);
+      core.setOutput('badges-path', badgeGenerator.reportDir);
+      core.info(`Wrote coverage badges: ${badgePaths.join(', ')}`);
+
+      if (badgeBranch) {
+        if (!analyzer.octokit) {
+          core.warning('A github-token is required to commit coverage badges to a branch');
+        } else {
+          try {
+            for (const { fileName, svg } of badges) {
+              await analyzer.writeFileToBranch(badgeBranch, fileName, svg, `Update ${fileName}`);
+            }
+            core.info(`Committed coverage badges to ${badgeBranch}`);
+          } catch (error) {
+            core.warning(`Failed to commit coverage badges to ${badgeBranch}: ${error.message}`);
+          }
+        }
+      }
+    }
+
+    // Write the full results as JSON for later workflow steps
+    if (resultsFile) {
+      try {
+        writeJsonFile(resultsFile, buildResultsJson({
+          results,
+          thresholds,
+          thresholdFailures,
+          rules: config.rules,
+          pullRequest: pullRequest ? pullRequest.number : null,
+          commit: pullRequest ? pullRequest.head.sha : github.context.sha
+        }));
+        core.setOutput('results-path', resultsFile);
+        core.info(`Wrote results file: ${resultsFile}`);
+      } catch (error) {
+        core.warning(`Failed to write results file: ${error.message}`);
+      }
+    }
+
+    // Write uncovered changed code as SARIF for code scanning and other viewers
+    if (sarifFile) {
+      try {
+        const sarifLog = buildSarifLog(results, thresholdFailures);
+        writeJsonFile(sarifFile, sarifLog);
+        core.setOutput('sarif-path', sarifFile);
+        core.info(`Wrote SARIF log with ${sarifLog.runs[0].results.length} result(s): ${sarifFile}`);
+      } catch (error) {
+        core.warning(`Failed to write SARIF log: ${error.message}`);
+      }
+    }
+
+    // Write per-file coverage gates as JUnit test cases for CI test dashboards
+    if (junitFile) {
+      try {
+        writeOutputFile(junitFile, buildJUnitReport(results, thresholds));
+        core.setOutput('junit-path', junitFile);
+        core.info(`Wrote JUnit report: ${junitFile}`);
+      } catch (error) {
+        core.warning(`Failed to write JUnit report: ${error.message}`);
+      }
+    }
+
     // Generate HTML report if enabled
     let htmlReportInfo = null;
     if (generateHtmlReport) {
@@ -278,10 +989,10 @@ async function run() {
         core.info('Generating HTML coverage report...');
         const htmlGenerator = new HtmlReportGenerator();
         
-        const prData = {
-          number: github.context.payload.pull_request.number,
-          title: github.context.payload.pull_request.title
-        };
+        const prData = pullRequest ? {
+          number: pullRequest.number,
+          title: pullRequest.title
+        } : null;
         
         const reportData = await htmlGenerator.generateReport(
           results,
@@ -289,30 +1000,57 @@ async function run() {
           prData,
           coverageData,
           minimumCoverage,
-          coverageFilePath
+          coverageFilePaths,
+          minimumBranchCoverage,
+          thresholdFailures
         );
         htmlReportInfo = await analyzer.uploadHtmlReportArtifact(reportData);
         
         core.info(`HTML report generated: ${reportData.mainReport}`);
-        if (reportData.coverageFile) {
-          core.info(`Coverage file included in artifact: ${reportData.coverageFile}`);
+        for (const coverageFile of reportData.coverageFiles) {
+          core.info(`Coverage file included in artifact: ${coverageFile}`);
         }
       } catch (error) {
         core.warning(`Failed to generate HTML report: ${error.message}`);
       }
     }
 
+    const report = analyzer.buildCoverageReport(results, thresholds, thresholdFailures, htmlReportInfo);
+
+    // Write the job summary; needs no token or PR, so it also works for fork PRs
+    if (jobSummary) {
+      await analyzer.writeJobSummary(report);
+    }
+
+    // Create check run with line annotations if enabled
+    if (createCheckRun && !analyzer.octokit) {
+      core.info('Skipping check run: no GitHub token available');
+    } else if (createCheckRun) {
+      core.info('Creating check run...');
+      await analyzer.createCheckRun(checkRunName, results, report, meetsThreshold);
+    }
+
+    // Post inline review comments on uncovered changed ranges if enabled
+    if (reviewComments && (!pullRequest || !analyzer.octokit)) {
+      core.info('Skipping review comments: no pull request context or GitHub token available');
+    } else if (reviewComments) {
+      core.info('Syncing review comments on uncovered changed lines...');
+      await analyzer.syncReviewComments(results);
+    }
+
     // Create PR comment if enabled
-    if (commentOnPr) {
+    if (commentOnPr && (!pullRequest || !analyzer.octokit)) {
+      core.info('Skipping PR comment: no pull request context or GitHub token available');
+    } else if (commentOnPr) {
       core.info(updateComment ? 'Creating/updating PR comment...' : 'Creating PR comment...');
-      await analyzer.createPrComment(results, minimumCoverage, meetsThreshold, htmlReportInfo, updateComment);
+      await analyzer.createPrComment(results, thresholds, thresholdFailures, htmlReportInfo, updateComment);
     }
 
     // Fail if coverage is below threshold
-    if (!meetsThreshold && failOnBelowThreshold) {
-      core.setFailed(
-        `Code coverage of changed lines (${results.coverage.toFixed(2)}%) is below the required threshold (${minimumCoverage}%)`
-      );
+    if (failOnBelowThreshold) {
+      for (const failure of thresholdFailures) {
+        core.setFailed(`Code ${describeFailure(failure)}`);
+      }
     }
 
   } catch (error) {
@@ -321,7 +1059,7 @@ async function run() {
   }
 }
 
-module.exports = { CoverageAnalyzer };
+module.exports = { CoverageAnalyzer, run };
 
 if (require.main === module) {
   run();
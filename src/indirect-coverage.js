@@ -0,0 +1,60 @@
+const { normalizePath } = require('./changed-lines-coverage');
+const { mapOldLineToNew } = require('./diff-parser');
+
+/**
+ * Find lines outside the diff that base coverage ran and head coverage no
+ * longer does, e.g. because a test was deleted or changed.
+ *
+ * Base lines are followed to their new position using each changed file's
+ * change blocks; lines the diff removed or rewrote are skipped, as are lines
+ * head coverage no longer tracks and files missing from either side.
+ * `unknownChangeFiles` lists files that changed without known change blocks
+ * (e.g. a patch that couldn't be retrieved); their lines can't be followed,
+ * so they are skipped too.
+ *
+ * Returns the number of previously covered unchanged lines, how many lost
+ * coverage, the percentage still covered and the lost lines grouped by file.
+ */
+function findIndirectCoverageLoss(baseData, headData, changeBlocks = {}, isIncluded = () => true, unknownChangeFiles = []) {
+  const headFiles = new Map(headData.map(fileData => [normalizePath(fileData.file), fileData]));
+  const skippedFiles = new Set(unknownChangeFiles.map(normalizePath));
+  const files = [];
+  let totalLines = 0;
+  let lostLines = 0;
+
+  for (const baseFile of baseData) {
+    const file = normalizePath(baseFile.file);
+    const headFile = headFiles.get(file);
+    if (!headFile || !isIncluded(file) || skippedFiles.has(file)) continue;
+
+    const headHits = new Map(((headFile.lines && headFile.lines.details) || []).map(detail => [detail.line, detail.hit]));
+    const blocks = changeBlocks[file] || [];
+    const lost = [];
+
+    for (const { line, hit } of (baseFile.lines && baseFile.lines.details) || []) {
+      if (hit <= 0) continue;
+
+      const headLine = mapOldLineToNew(blocks, line);
+      if (headLine === null || !headHits.has(headLine)) continue;
+
+      totalLines++;
+      if (headHits.get(headLine) <= 0) {
+        lost.push(headLine);
+      }
+    }
+
+    if (lost.length > 0) {
+      lostLines += lost.length;
+      files.push({ file, lines: lost.sort((a, b) => a - b) });
+    }
+  }
+
+  return {
+    totalLines,
+    lostLines,
+    coverage: totalLines > 0 ? ((totalLines - lostLines) / totalLines) * 100 : 100,
+    files
+  };
+}
+
+module.exports = { findIndirectCoverageLoss };
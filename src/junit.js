@@ -0,0 +1,71 @@
+const { formatLineRanges } = require('./changed-lines-coverage');
+const { checkThresholds, describeFailure } = require('./thresholds');
+const { escapeXml } = require('./utils');
+
+/**
+ * Threshold failures of one file: those of its path rule when one matched,
+ * otherwise the global thresholds applied to the file on its own.
+ */
+function fileFailures(file, fileResult, thresholds, ruleChecks) {
+  if (ruleChecks[file]) {
+    return ruleChecks[file].failures;
+  }
+  return checkThresholds(fileResult, thresholds).map(failure => ({ ...failure, label: `${failure.label} in ${file}` }));
+}
+
+/**
+ * Coverage of one file as plain text, for the test case output.
+ */
+function describeFileCoverage(fileResult) {
+  const lines = [`Lines: ${fileResult.coveredLines}/${fileResult.totalLines} (${fileResult.coverage.toFixed(2)}%)`];
+  if (fileResult.totalBranches > 0) {
+    lines.push(`Branches: ${fileResult.coveredBranches}/${fileResult.totalBranches} (${fileResult.branchCoverage.toFixed(2)}%)`);
+  }
+  if (fileResult.totalFunctions > 0) {
+    lines.push(`Functions: ${fileResult.coveredFunctions}/${fileResult.totalFunctions} (${fileResult.functionCoverage.toFixed(2)}%)`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Build a JUnit XML report with one test case per analysed file.
+ *
+ * A test case fails when the file doesn't meet its thresholds; the failure
+ * lists every missed threshold and the uncovered changed line ranges.
+ */
+function buildJUnitReport(results, thresholds, suiteName = 'Diff Coverage', timestamp = new Date().toISOString()) {
+  const ruleChecks = results.ruleChecks || {};
+  const testCases = [];
+  let failureCount = 0;
+
+  for (const [file, fileResult] of Object.entries(results.fileResults)) {
+    const failures = fileFailures(file, fileResult, thresholds, ruleChecks);
+    const lines = [`    <testcase classname="${escapeXml(suiteName)}" name="${escapeXml(file)}" time="0">`];
+
+    if (failures.length > 0) {
+      failureCount++;
+      const messages = failures.map(failure => `Code ${describeFailure(failure)}`);
+      if (fileResult.uncoveredLines.length > 0) {
+        messages.push(`Uncovered lines: ${formatLineRanges(fileResult.uncoveredLines)}`);
+      }
+      lines.push(`      <failure message="${escapeXml(messages[0])}" type="coverage">${escapeXml(messages.join('\n'))}</failure>`);
+    }
+
+    lines.push(`      <system-out>${escapeXml(describeFileCoverage(fileResult))}</system-out>`);
+    lines.push('    </testcase>');
+    testCases.push(lines.join('\n'));
+  }
+
+  const counts = `tests="${testCases.length}" failures="${failureCount}" errors="0" skipped="0" time="0"`;
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(suiteName)}" ${counts}>`,
+    `  <testsuite name="${escapeXml(suiteName)}" ${counts} timestamp="${timestamp}">`,
+    ...testCases,
+    '  </testsuite>',
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+module.exports = { buildJUnitReport };
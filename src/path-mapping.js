@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+const CoverageParser = require('./coverage-parser');
+const { normalizePath } = require('./changed-lines-coverage');
+const { parsePatterns } = require('./file-filter');
+
+/**
+ * Parse `from => to` prefix rewrite rules, one per line or comma.
+ */
+function parsePathRewrites(input) {
+  return parsePatterns(input).map(rule => {
+    const separator = rule.indexOf('=>');
+    if (separator === -1) {
+      throw new Error(`Invalid path rewrite "${rule}": expected "<coverage prefix> => <repository prefix>"`);
+    }
+
+    return {
+      from: normalizePath(rule.slice(0, separator).trim()).replace(/\/+$/, ''),
+      to: normalizePath(rule.slice(separator + 2).trim()).replace(/\/+$/, '')
+    };
+  });
+}
+
+/**
+ * Apply the first rewrite rule whose prefix matches at a path boundary.
+ */
+function rewritePath(filePath, rewrites) {
+  for (const { from, to } of rewrites) {
+    if (filePath === from || filePath.startsWith(`${from}/`)) {
+      const rest = filePath.slice(from.length).replace(/^\//, '');
+      return to && rest ? `${to}/${rest}` : to || rest;
+    }
+  }
+  return filePath;
+}
+
+/**
+ * Find the one changed file that a coverage path refers to by suffix: the
+ * coverage path ends with the changed file (e.g. an absolute container path),
+ * or the changed file ends with the coverage path (e.g. coverage collected in
+ * a monorepo package). Ambiguous matches are left unmatched.
+ */
+function findSuffixMatch(filePath, changedFiles) {
+  const candidates = changedFiles.filter(
+    changedFile => filePath.endsWith(`/${changedFile}`) || changedFile.endsWith(`/${filePath}`)
+  );
+  return candidates.length === 1 ? candidates[0] : null;
+}
+
+/**
+ * Make an absolute path inside the checkout relative to it; other paths are
+ * returned unchanged.
+ */
+function relativeToCheckout(filePath, cwd) {
+  if (!path.isAbsolute(filePath)) {
+    return filePath;
+  }
+  const relative = path.relative(cwd, filePath);
+  return relative && !relative.startsWith('..') && !path.isAbsolute(relative) ? normalizePath(relative) : filePath;
+}
+
+/**
+ * Normalize coverage paths, rewrite them by the first matching prefix rule
+ * and make absolute paths inside the checkout relative, merging coverage that
+ * ends up on the same path.
+ *
+ * Runs before source map remapping, so the maps of built files are looked up
+ * at their repository paths.
+ */
+function rewriteCoveragePaths(coverageData, rewrites = [], cwd = process.cwd()) {
+  return CoverageParser.merge([coverageData.map(fileData => ({
+    ...fileData,
+    file: relativeToCheckout(rewritePath(normalizePath(fileData.file), rewrites), cwd)
+  }))]);
+}
+
+/**
+ * Rewrite coverage paths so they line up with the changed files in the diff.
+ *
+ * Paths are normalized, then rewritten by the first matching prefix rule
+ * (pass no rules when `rewriteCoveragePaths` already applied them).
+ * Paths that still don't name a changed file fall back to suffix matching,
+ * unless they are relative paths of a file in the checkout: that coverage
+ * belongs to the file itself, not to a changed file that shares its suffix.
+ *
+ * Returns the merged coverage data and the coverage paths that matched no
+ * changed file.
+ */
+function mapCoveragePaths(coverageData, changedFiles, rewrites = []) {
+  const rewrittenData = rewriteCoveragePaths(coverageData, rewrites);
+
+  // Changed files with exact coverage aren't offered to the suffix fallback
+  const exactMatches = new Set(rewrittenData.map(fileData => fileData.file));
+  const suffixCandidates = changedFiles.filter(changedFile => !exactMatches.has(changedFile));
+  const changedFileSet = new Set(changedFiles);
+  const unmatchedPaths = [];
+
+  const mapped = rewrittenData.map(fileData => {
+    const rewritten = fileData.file;
+    if (changedFileSet.has(rewritten)) {
+      return fileData;
+    }
+
+    // A relative path that exists is a real file of its own; absolute paths here are outside the checkout
+    const isCheckoutFile = !path.isAbsolute(rewritten) && fs.existsSync(path.resolve(rewritten));
+    const suffixMatch = !isCheckoutFile && findSuffixMatch(rewritten, suffixCandidates);
+    if (suffixMatch) {
+      return { ...fileData, file: suffixMatch };
+    }
+
+    unmatchedPaths.push(rewritten);
+    return fileData;
+  });
+
+  return { coverageData: CoverageParser.merge([mapped]), unmatchedPaths };
+}
+
+module.exports = { mapCoveragePaths, parsePathRewrites, rewriteCoveragePaths, rewritePath };
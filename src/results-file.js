@@ -0,0 +1,105 @@
+const { describeFailure } = require('./thresholds');
+const { roundPercentage } = require('./utils');
+
+// Bump when a field is removed or changes meaning; adding fields keeps the version
+const RESULTS_SCHEMA_VERSION = 1;
+
+/**
+ * Total, covered and percentage of one metric.
+ */
+function metric(total, covered, coverage) {
+  return { total, covered, coverage: roundPercentage(coverage) };
+}
+
+/**
+ * Build the machine-readable results of a run.
+ *
+ * Contains the overall and per-file coverage of changed lines with their
+ * uncovered lines, changed files missing from coverage, the thresholds and
+ * path rules that applied and every threshold failure. Base comparison and
+ * indirect coverage are included when they were computed.
+ */
+function buildResultsJson({
+  results,
+  thresholds,
+  thresholdFailures,
+  rules = [],
+  pullRequest = null,
+  commit = null,
+  timestamp = new Date().toISOString()
+}) {
+  const ruleChecks = results.ruleChecks || {};
+  const files = Object.entries(results.fileResults).map(([file, fileResult]) => ({
+    file,
+    lines: metric(fileResult.totalLines, fileResult.coveredLines, fileResult.coverage),
+    branches: metric(fileResult.totalBranches, fileResult.coveredBranches, fileResult.branchCoverage),
+    functions: metric(fileResult.totalFunctions, fileResult.coveredFunctions, fileResult.functionCoverage),
+    uncoveredLines: fileResult.uncoveredLines,
+    uncoveredFunctions: results.uncoveredFunctions
+      .filter(fn => fn.file === file)
+      .map(({ name, line }) => ({ name, line })),
+    rule: ruleChecks[file] ? ruleChecks[file].rule : null
+  }));
+
+  const json = {
+    schemaVersion: RESULTS_SCHEMA_VERSION,
+    timestamp,
+    pullRequest,
+    commit,
+    meetsThreshold: thresholdFailures.length === 0,
+    summary: {
+      lines: metric(results.totalLines, results.coveredLines, results.coverage),
+      branches: metric(results.totalBranches, results.coveredBranches, results.branchCoverage),
+      functions: metric(results.totalFunctions, results.coveredFunctions, results.functionCoverage)
+    },
+    thresholds: {
+      lines: thresholds.lines,
+      branches: thresholds.branches,
+      functions: thresholds.functions,
+      indirect: thresholds.indirect === undefined ? null : thresholds.indirect
+    },
+    rules: rules.map(({ path: pattern, lines, branches, functions }) => ({ path: pattern, lines, branches, functions })),
+    thresholdFailures: thresholdFailures.map(failure => ({
+      metric: failure.metric,
+      actual: roundPercentage(failure.actual),
+      required: failure.required,
+      file: failure.file || null,
+      rule: failure.rule || null,
+      message: describeFailure(failure)
+    })),
+    files,
+    missingFromCoverage: results.missingFromCoverage || [],
+    noTrackableLines: results.noTrackableLines || [],
+    excludedFiles: results.excludedFiles || [],
+    ignoredLines: results.ignoredLines || []
+  };
+
+  if (results.baseComparison) {
+    const { base, head, delta, decreasedFiles } = results.baseComparison;
+    json.baseComparison = {
+      base: metric(base.totalLines, base.coveredLines, base.coverage),
+      head: metric(head.totalLines, head.coveredLines, head.coverage),
+      delta: roundPercentage(delta),
+      decreasedFiles
+    };
+  }
+  if (results.indirectCoverage) {
+    const { totalLines, lostLines, coverage, files: lostFiles } = results.indirectCoverage;
+    json.indirectCoverage = { totalLines, lostLines, coverage: roundPercentage(coverage), files: lostFiles };
+  }
+
+  return json;
+}
+
+/**
+ * Files with uncovered changed lines, as a compact list for the
+ * `uncovered-files` output.
+ */
+function listUncoveredFiles(results) {
+  return Object.entries(results.fileResults)
+    .filter(([, fileResult]) => fileResult.uncoveredLines.length > 0)
+    .map(([file]) => file)
+    .sort();
+}
+
+module.exports = { RESULTS_SCHEMA_VERSION, buildResultsJson, listUncoveredFiles };
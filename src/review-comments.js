@@ -0,0 +1,87 @@
+const { toLineRanges } = require('./changed-lines-coverage');
+
+// Hidden marker identifying review comments posted by this action
+const REVIEW_COMMENT_MARKER = '<!-- jest-pr-diff-coverage:uncovered';
+
+/**
+ * Key identifying an uncovered range, stable across runs.
+ */
+function getRangeKey(path, start, end) {
+  return `${path}:${start}-${end}`;
+}
+
+/**
+ * Read the range key from the marker of a review comment posted by this
+ * action. Returns null for other comments.
+ */
+function getCommentKey(body) {
+  if (!body) return null;
+
+  const match = body.match(/<!-- jest-pr-diff-coverage:uncovered (\S+) -->/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Build one review comment per contiguous range of uncovered changed lines.
+ */
+function buildReviewComments(fileResults) {
+  const comments = [];
+
+  for (const [path, result] of Object.entries(fileResults)) {
+    for (const { start, end } of toLineRanges(result.uncoveredLines || [])) {
+      const key = getRangeKey(path, start, end);
+      const lineLabel = start === end ? `Line ${start} was` : `Lines ${start}-${end} were`;
+      const comment = {
+        key,
+        path,
+        line: end,
+        side: 'RIGHT',
+        body: `${REVIEW_COMMENT_MARKER} ${key} -->\n⚠️ **Not covered by tests.** ${lineLabel} changed in this PR but never ran during the test suite.`
+      };
+
+      if (start !== end) {
+        comment.start_line = start;
+        comment.start_side = 'RIGHT';
+      }
+
+      comments.push(comment);
+    }
+  }
+
+  return comments;
+}
+
+/**
+ * Work out which review comments to post and which to remove.
+ *
+ * Existing comments for ranges that are still uncovered are kept, so repeated
+ * runs don't pile up duplicates; comments for ranges that are now covered (or
+ * no longer exist) are removed.
+ */
+function planReviewCommentSync(existingComments, desiredComments) {
+  const desiredKeys = new Set(desiredComments.map(comment => comment.key));
+  const existingKeys = new Set();
+  const toDelete = [];
+
+  for (const comment of existingComments) {
+    const key = getCommentKey(comment.body);
+    if (!key) continue;
+
+    if (desiredKeys.has(key) && !existingKeys.has(key)) {
+      existingKeys.add(key);
+    } else {
+      toDelete.push(comment);
+    }
+  }
+
+  const toCreate = desiredComments.filter(comment => !existingKeys.has(comment.key));
+
+  return { toCreate, toDelete };
+}
+
+module.exports = {
+  REVIEW_COMMENT_MARKER,
+  buildReviewComments,
+  getCommentKey,
+  planReviewCommentSync
+};
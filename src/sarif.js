@@ -0,0 +1,138 @@
+const { toLineRanges } = require('./changed-lines-coverage');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+/**
+ * One SARIF rule per threshold type, keyed by the metric name used in the
+ * `thresholds` object.
+ */
+const SARIF_RULES = {
+  lines: {
+    id: 'diff-coverage/uncovered-lines',
+    name: 'UncoveredChangedLines',
+    description: 'Changed lines that are not covered by tests.'
+  },
+  branches: {
+    id: 'diff-coverage/uncovered-branches',
+    name: 'UncoveredChangedBranches',
+    description: 'Changed lines with branches that tests never take.'
+  },
+  functions: {
+    id: 'diff-coverage/uncalled-functions',
+    name: 'UncalledChangedFunctions',
+    description: 'Functions declared or edited in the change that tests never call.'
+  },
+  indirect: {
+    id: 'diff-coverage/indirect-coverage-loss',
+    name: 'IndirectCoverageLoss',
+    description: 'Unchanged lines that were covered on the base branch and are no longer covered.'
+  }
+};
+
+/**
+ * Whether a threshold of this metric failed for the file. Failures without a
+ * file come from the global thresholds, which only cover files no path rule
+ * matched.
+ */
+function failsThreshold(metric, file, thresholdFailures, ruleChecks) {
+  return thresholdFailures.some(failure => failure.metric === metric && (
+    failure.file ? failure.file === file : !ruleChecks[file]
+  ));
+}
+
+/**
+ * Describe a line range in a result message, e.g. "lines 3-5".
+ */
+function describeLines({ start, end }) {
+  return start === end ? `line ${start}` : `lines ${start}-${end}`;
+}
+
+/**
+ * A result message about a line range, e.g. "Changed lines 3-5 are not covered by tests."
+ */
+function rangeMessage(subject, range, predicate) {
+  return `${subject} ${describeLines(range)} ${range.start === range.end ? 'is' : 'are'} ${predicate}.`;
+}
+
+/**
+ * Build one SARIF result for a line range of a file.
+ */
+function buildResult(metric, file, { start, end }, text, isError) {
+  return {
+    ruleId: SARIF_RULES[metric].id,
+    ruleIndex: Object.keys(SARIF_RULES).indexOf(metric),
+    level: isError ? 'error' : 'warning',
+    message: { text },
+    locations: [{
+      physicalLocation: {
+        artifactLocation: { uri: file, uriBaseId: '%SRCROOT%' },
+        region: { startLine: start, endLine: end }
+      }
+    }]
+  };
+}
+
+/**
+ * Build a SARIF 2.1.0 log of the uncovered changed code.
+ *
+ * Each contiguous range of uncovered changed lines, each range of changed
+ * lines with untaken branches, each uncalled function and each range of
+ * indirect coverage loss is one result. Results are errors when a threshold
+ * of their type failed for the file, warnings otherwise.
+ */
+function buildSarifLog(results, thresholdFailures = []) {
+  const ruleChecks = results.ruleChecks || {};
+  const isError = (metric, file) => failsThreshold(metric, file, thresholdFailures, ruleChecks);
+  const sarifResults = [];
+
+  for (const [file, fileResult] of Object.entries(results.fileResults)) {
+    for (const range of toLineRanges(fileResult.uncoveredLines || [])) {
+      sarifResults.push(buildResult(
+        'lines', file, range, rangeMessage('Changed', range, 'not covered by tests'), isError('lines', file)
+      ));
+    }
+    for (const range of toLineRanges(fileResult.uncoveredBranchLines || [])) {
+      sarifResults.push(buildResult(
+        'branches', file, range, `Branches on changed ${describeLines(range)} are not all taken by tests.`, isError('branches', file)
+      ));
+    }
+  }
+
+  for (const { file, name, line } of results.uncoveredFunctions || []) {
+    sarifResults.push(buildResult(
+      'functions', file, { start: line, end: line }, `Function ${name} is never called by tests.`, isError('functions', file)
+    ));
+  }
+
+  if (results.indirectCoverage) {
+    for (const { file, lines } of results.indirectCoverage.files) {
+      for (const range of toLineRanges(lines)) {
+        sarifResults.push(buildResult(
+          'indirect', file, range, rangeMessage('Unchanged', range, 'no longer covered by tests'), isError('indirect', file)
+        ));
+      }
+    }
+  }
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'jest-pr-diff-codecoverage',
+          informationUri: 'https://github.com/AerionTechnologies/jest-pr-diff-codecoverage',
+          rules: Object.values(SARIF_RULES).map(({ id, name, description }) => ({
+            id,
+            name,
+            shortDescription: { text: description },
+            defaultConfiguration: { level: 'warning' }
+          }))
+        }
+      },
+      results: sarifResults
+    }]
+  };
+}
+
+module.exports = { SARIF_RULES, buildSarifLog };
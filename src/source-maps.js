@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+const { fileURLToPath } = require('url');
+const { TraceMap, decodedMappings } = require('@jridgewell/trace-mapping');
+const CoverageParser = require('./coverage-parser');
+
+/**
+ * Find the last `sourceMappingURL` comment in a generated file.
+ */
+function findSourceMappingUrl(content) {
+  const matches = [...content.matchAll(/\/[/*][#@]\s*sourceMappingURL=([^\s*'"]+)/g)];
+  return matches.length > 0 ? matches[matches.length - 1][1] : null;
+}
+
+/**
+ * Load the source map for a generated file: an inline `data:` URL, the file
+ * its `sourceMappingURL` comment points at, or `<file>.map` next to it.
+ *
+ * Returns `{ map, mapPath }`, or null when the file has no source map.
+ */
+function loadSourceMap(generatedPath) {
+  if (!fs.existsSync(generatedPath)) {
+    return null;
+  }
+
+  const url = findSourceMappingUrl(fs.readFileSync(generatedPath, 'utf8'));
+
+  if (url && url.startsWith('data:')) {
+    const [header, data] = url.split(',', 2);
+    const json = header.endsWith(';base64')
+      ? Buffer.from(data, 'base64').toString('utf8')
+      : decodeURIComponent(data);
+    return { map: JSON.parse(json), mapPath: generatedPath };
+  }
+
+  const mapPath = url ? path.resolve(path.dirname(generatedPath), url) : `${generatedPath}.map`;
+  if (!fs.existsSync(mapPath)) {
+    return null;
+  }
+
+  return { map: JSON.parse(fs.readFileSync(mapPath, 'utf8')), mapPath };
+}
+
+/**
+ * Turn a source map `sources` entry into a path relative to the working
+ * directory. Bundler namespaces such as `webpack://app/` are dropped.
+ */
+function resolveOriginalPath(source, cwd) {
+  let resolved = source;
+
+  if (resolved.startsWith('file://')) {
+    resolved = fileURLToPath(resolved);
+  } else if (/^[a-z][\w+.-]*:\/\//i.test(resolved)) {
+    resolved = resolved.replace(/^[a-z][\w+.-]*:\/\/[^/]*\//i, '');
+  }
+
+  return path.relative(cwd, path.resolve(cwd, resolved)).split(path.sep).join('/');
+}
+
+/**
+ * Remap one generated file's coverage through its source map.
+ *
+ * A generated line's hits apply to every original line with a mapping
+ * segment on it. Generated lines that map to the same original line keep the
+ * highest count, as they were run by the same executions.
+ */
+function remapFile(fileData, traceMap, cwd) {
+  const mappings = decodedMappings(traceMap);
+  const sources = traceMap.resolvedSources.map(source => source && resolveOriginalPath(source, cwd));
+  const files = new Map();
+
+  const getFile = sourceIndex => {
+    const file = sources[sourceIndex];
+    if (!files.has(file)) {
+      files.set(file, { file, lines: new Map(), branches: [], functions: [] });
+    }
+    return files.get(file);
+  };
+
+  // Original positions for a 1-based generated line, de-duplicated
+  const originalLines = generatedLine => {
+    const positions = new Map();
+    for (const segment of mappings[generatedLine - 1] || []) {
+      if (segment.length < 4 || !sources[segment[1]]) continue;
+      positions.set(`${segment[1]}:${segment[2]}`, { sourceIndex: segment[1], line: segment[2] + 1 });
+    }
+    return [...positions.values()];
+  };
+
+  for (const detail of (fileData.lines && fileData.lines.details) || []) {
+    for (const { sourceIndex, line } of originalLines(detail.line)) {
+      const target = getFile(sourceIndex);
+      target.lines.set(line, Math.max(target.lines.get(line) || 0, detail.hit));
+    }
+  }
+
+  for (const detail of (fileData.branches && fileData.branches.details) || []) {
+    const [original] = originalLines(detail.line);
+    if (original) {
+      getFile(original.sourceIndex).branches.push({ ...detail, line: original.line });
+    }
+  }
+
+  for (const detail of (fileData.functions && fileData.functions.details) || []) {
+    const [original] = originalLines(detail.line);
+    if (!original) continue;
+
+    const remapped = { ...detail, line: original.line };
+    if (detail.endLine !== undefined) {
+      const end = originalLines(detail.endLine).find(position => position.sourceIndex === original.sourceIndex);
+      if (end) {
+        remapped.endLine = end.line;
+      } else {
+        delete remapped.endLine;
+      }
+    }
+    getFile(original.sourceIndex).functions.push(remapped);
+  }
+
+  return [...files.values()].map(file => ({
+    file: file.file,
+    lines: { details: Array.from(file.lines, ([line, hit]) => ({ line, hit })).sort((a, b) => a.line - b.line) },
+    branches: { details: file.branches },
+    functions: { details: file.functions }
+  }));
+}
+
+/**
+ * Remap coverage collected on built output back to the original sources
+ * using each file's source map. Files without a source map are kept as-is.
+ *
+ * Returns the merged coverage data and the generated files that were remapped.
+ */
+function remapCoverage(coverageData, { cwd = process.cwd() } = {}) {
+  const remappedData = [];
+  const remappedFiles = [];
+
+  for (const fileData of coverageData) {
+    const sourceMap = loadSourceMap(path.resolve(cwd, fileData.file));
+    if (!sourceMap) {
+      remappedData.push(fileData);
+      continue;
+    }
+
+    remappedData.push(...remapFile(fileData, new TraceMap(sourceMap.map, sourceMap.mapPath), cwd));
+    remappedFiles.push(fileData.file);
+  }
+
+  return { coverageData: CoverageParser.merge([remappedData]), remappedFiles };
+}
+
+module.exports = { loadSourceMap, remapCoverage };
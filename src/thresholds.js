@@ -0,0 +1,174 @@
+const { minimatch } = require('minimatch');
+
+/**
+ * Coverage metrics that can be gated by a threshold, keyed by the name used
+ * in the `thresholds` object ({ lines, branches, functions }).
+ */
+const METRICS = {
+  lines: { label: 'changed lines', resultKey: 'coverage', totalKey: 'totalLines', coveredKey: 'coveredLines' },
+  branches: {
+    label: 'branches on changed lines',
+    resultKey: 'branchCoverage',
+    totalKey: 'totalBranches',
+    coveredKey: 'coveredBranches'
+  },
+  functions: {
+    label: 'functions touched by the PR',
+    resultKey: 'functionCoverage',
+    totalKey: 'totalFunctions',
+    coveredKey: 'coveredFunctions'
+  }
+};
+
+/**
+ * Parse an optional percentage input. Empty values mean "not enforced".
+ */
+function parseThreshold(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const threshold = parseFloat(value);
+  if (Number.isNaN(threshold)) {
+    throw new Error(`Invalid coverage threshold: ${value}`);
+  }
+
+  return threshold;
+}
+
+/**
+ * Compare coverage results against each configured threshold.
+ *
+ * Returns one entry per failed metric; an empty array means every threshold is met.
+ */
+function checkThresholds(results, thresholds) {
+  const failures = [];
+
+  for (const [metric, { label, resultKey }] of Object.entries(METRICS)) {
+    const required = thresholds[metric];
+    if (required === null || required === undefined) continue;
+
+    const actual = results[resultKey];
+    if (actual < required) {
+      failures.push({ metric, label, actual, required });
+    }
+  }
+
+  return failures;
+}
+
+/**
+ * Find the first path rule whose glob pattern matches a file.
+ */
+function findRule(filePath, rules) {
+  return rules.find(rule => minimatch(filePath, rule.path, { dot: true })) || null;
+}
+
+/**
+ * Thresholds for a path rule, falling back to the global thresholds for
+ * metrics the rule doesn't set.
+ */
+function getRuleThresholds(rule, thresholds) {
+  const ruleThresholds = {};
+  for (const metric of Object.keys(METRICS)) {
+    ruleThresholds[metric] = rule[metric] !== null && rule[metric] !== undefined ? rule[metric] : thresholds[metric];
+  }
+  return ruleThresholds;
+}
+
+/**
+ * Sum per-file results into aggregate percentages for each metric.
+ */
+function aggregateFileResults(fileResultList) {
+  const aggregate = {};
+
+  for (const { resultKey, totalKey, coveredKey } of Object.values(METRICS)) {
+    const total = fileResultList.reduce((sum, result) => sum + (result[totalKey] || 0), 0);
+    const covered = fileResultList.reduce((sum, result) => sum + (result[coveredKey] || 0), 0);
+    aggregate[totalKey] = total;
+    aggregate[coveredKey] = covered;
+    aggregate[resultKey] = total > 0 ? (covered / total) * 100 : 100;
+  }
+
+  return aggregate;
+}
+
+/**
+ * Evaluate global thresholds and per-path rules.
+ *
+ * Files matching a rule are checked individually against it. The global
+ * thresholds apply to the combined coverage of the remaining files (all files
+ * when there are no rules).
+ *
+ * Returns every failure plus, for each rule-matched file, the rule that applied.
+ */
+function evaluateThresholds(results, thresholds, rules = []) {
+  const failures = [];
+  const fileChecks = {};
+  const unmatchedResults = [];
+
+  for (const [file, fileResult] of Object.entries(results.fileResults || {})) {
+    const rule = findRule(file, rules);
+    if (!rule) {
+      unmatchedResults.push(fileResult);
+      continue;
+    }
+
+    const ruleThresholds = getRuleThresholds(rule, thresholds);
+    const fileFailures = checkThresholds(fileResult, ruleThresholds).map(failure => ({
+      ...failure,
+      label: `${failure.label} in ${file}`,
+      file,
+      rule: rule.path
+    }));
+
+    fileChecks[file] = { rule: rule.path, thresholds: ruleThresholds, failures: fileFailures };
+    failures.push(...fileFailures);
+  }
+
+  if (rules.length === 0) {
+    failures.unshift(...checkThresholds(results, thresholds));
+  } else if (unmatchedResults.length > 0) {
+    const globalFailures = checkThresholds(aggregateFileResults(unmatchedResults), thresholds).map(failure => ({
+      ...failure,
+      label: `${failure.label} outside path rules`
+    }));
+    failures.unshift(...globalFailures);
+  }
+
+  return { failures, fileChecks };
+}
+
+/**
+ * Check the share of lines outside the diff that base coverage ran and head
+ * coverage still runs against its optional threshold.
+ */
+function checkIndirectCoverage(indirectCoverage, required) {
+  if (required === null || required === undefined || !indirectCoverage) {
+    return [];
+  }
+
+  const actual = indirectCoverage.coverage;
+  return actual < required
+    ? [{ metric: 'indirect', label: 'previously covered lines outside the diff', actual, required }]
+    : [];
+}
+
+/**
+ * Describe a threshold failure as a sentence fragment, e.g.
+ * "coverage of changed lines (50.00%) is below the required threshold (80%)".
+ */
+function describeFailure({ label, actual, required, rule }) {
+  const ruleSuffix = rule ? ` of rule \`${rule}\`` : '';
+  return `coverage of ${label} (${actual.toFixed(2)}%) is below the required threshold (${required}%)${ruleSuffix}`;
+}
+
+module.exports = {
+  METRICS,
+  checkIndirectCoverage,
+  checkThresholds,
+  describeFailure,
+  evaluateThresholds,
+  findRule,
+  parseThreshold
+};
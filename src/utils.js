@@ -0,0 +1,37 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Escape text for use in XML or SVG attributes and content.
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Round a percentage to two decimals for machine-readable output.
+ */
+function roundPercentage(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Write a file, creating its directory when needed.
+ */
+function writeOutputFile(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+}
+
+/**
+ * Write data as indented JSON, creating the file's directory when needed.
+ */
+function writeJsonFile(filePath, data) {
+  writeOutputFile(filePath, `${JSON.stringify(data, null, 2)}\n`);
+}
+
+module.exports = { escapeXml, roundPercentage, writeJsonFile, writeOutputFile };
@@ -0,0 +1,117 @@
+/**
+ * Offsets at which each line of a source file starts.
+ */
+function getLineStarts(source) {
+  const lineStarts = [0];
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '\n') {
+      lineStarts.push(i + 1);
+    }
+  }
+  return lineStarts;
+}
+
+/**
+ * Convert a character offset into a 1-based line number.
+ */
+function offsetToLine(lineStarts, offset) {
+  let low = 0;
+  let high = lineStarts.length - 1;
+
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (lineStarts[mid] <= offset) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return low + 1;
+}
+
+/**
+ * V8 reports ranges, not statements, so blank and comment-only lines would
+ * otherwise be counted as executable.
+ */
+function isExecutableLine(text) {
+  const trimmed = text.trim();
+  return trimmed !== '' && !/^(\/\/|\/\*|\*)/.test(trimmed);
+}
+
+/**
+ * Convert the byte-offset function and block ranges V8 reports for one
+ * script into line, branch and function details.
+ *
+ * Each line takes the count of the innermost range containing its first
+ * non-whitespace character. Block ranges (every range after a function's
+ * first) become branches, as V8 only reports blocks whose count differs from
+ * the enclosing range.
+ */
+function convertV8Functions(source, functions) {
+  const lineStarts = getLineStarts(source);
+  const sourceLines = source.split('\n');
+  const lineCounts = new Array(sourceLines.length).fill(null);
+
+  // Apply outer ranges first so inner ranges overwrite them
+  const ranges = functions
+    .flatMap(fn => fn.ranges)
+    .sort((a, b) => (b.endOffset - b.startOffset) - (a.endOffset - a.startOffset));
+
+  for (const range of ranges) {
+    const startLine = offsetToLine(lineStarts, range.startOffset);
+    const endLine = offsetToLine(lineStarts, Math.max(range.startOffset, range.endOffset - 1));
+
+    for (let line = startLine; line <= endLine; line++) {
+      const text = sourceLines[line - 1];
+      const firstCharOffset = lineStarts[line - 1] + (text.length - text.trimStart().length);
+      if (firstCharOffset >= range.startOffset && firstCharOffset < range.endOffset) {
+        lineCounts[line - 1] = range.count;
+      }
+    }
+  }
+
+  const lineDetails = [];
+  lineCounts.forEach((count, index) => {
+    if (count !== null && isExecutableLine(sourceLines[index])) {
+      lineDetails.push({ line: index + 1, hit: count });
+    }
+  });
+
+  const branchDetails = [];
+  const functionDetails = [];
+
+  for (const fn of functions) {
+    const [functionRange, ...blockRanges] = fn.ranges;
+    if (!functionRange) continue;
+
+    // The script itself is reported as an anonymous function starting at offset 0
+    const isScript = fn.functionName === '' && functionRange.startOffset === 0;
+    if (!isScript) {
+      functionDetails.push({
+        name: fn.functionName || '(anonymous)',
+        line: offsetToLine(lineStarts, functionRange.startOffset),
+        endLine: offsetToLine(lineStarts, Math.max(functionRange.startOffset, functionRange.endOffset - 1)),
+        hit: functionRange.count
+      });
+    }
+
+    for (const range of blockRanges) {
+      branchDetails.push({
+        line: offsetToLine(lineStarts, range.startOffset),
+        // Offsets identify the block the same way in every process, so merged reports line up
+        block: `${range.startOffset}-${range.endOffset}`,
+        branch: 0,
+        taken: range.count
+      });
+    }
+  }
+
+  return {
+    lines: { details: lineDetails },
+    branches: { details: branchDetails },
+    functions: { details: functionDetails }
+  };
+}
+
+module.exports = { convertV8Functions, offsetToLine };